@@ -1,123 +1,116 @@
+require('dotenv').config();
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
-const puppeteer = require('puppeteer');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { parseCSVLine } = require('./csv-utils');
+const { loadFSACentroids, geocodeDealers, searchByPostalCode } = require('./geo-search');
+const { extractStructuredVehicles } = require('./structured-data');
+const { findNextPageUrl, clickNextButton, loadMoreInPlace, normalizePageUrl } = require('./pagination');
+const { vehicleIdentity, createVehicleDeduper } = require('./vehicle-identity');
+const { GENERIC_PROFILE, getPlatformProfile, detectPlatform } = require('./dealer-platforms');
+const { createBrowserPool } = require('./browser-pool');
+const { runWithConcurrency, createKeyedLock, createHostRateLimiter, domainKey } = require('./concurrency');
+const { withRetry, httpError } = require('./retry-policy');
+const inventoryStore = require('./inventory-store');
+const { diffDealerInventory, buildChangeRecords, parseSince } = require('./inventory-changes');
+const { decodeVin, findVin } = require('./vin-decoder');
+const { CONDITIONS, normalizeCondition, conditionFromLink } = require('./vehicle-condition');
+const { queryStock, filterStock } = require('./stock-query');
+const { EXPORT_FORMATS, STOCK_COLUMNS, DEALER_COLUMNS, toCSV, renderExport } = require('./export-formats');
+const { readDealers, createDealer, updateDealer, deleteDealer, saveAssignedIds } = require('./dealer-csv');
+const { DEAD_STATUSES, validateDealerUrls, loadReport } = require('./url-validator');
+const { createScheduler } = require('./scheduler');
+const { createJobQueue } = require('./scrape-jobs');
+const { SCRAPE_EVENT_TYPES, scrapeEvents, streamEvents } = require('./scrape-events');
+const { parseDealerSelection, selectDealers, needsHistory } = require('./dealer-selection');
+const { USER_AGENT } = require('./user-agent');
+const { robotsError, getRobotsPolicy, assertAllowed } = require('./robots');
+const inventoryPageCache = require('./inventory-pages');
+const { priceFields } = require('./price-parser');
+const vehicleNormalizer = require('./vehicle-normalizer');
+const { dedupeSnapshot } = require('./vehicle-dedupe');
+const { readSitemaps, rankSitemapUrls } = require('./sitemap');
 
 const app = express();
 app.use(express.json());
 
 let dealersDatabase = [];
-let scrapingInProgress = false;
-let lastScrapeResults = [];
+let urlValidation = { inProgress: false, done: 0, total: 0 };
 
 // Configuration for inventory scraping
 const SCRAPING_CONFIG = {
   timeout: 30000,
-  maxConcurrent: 2,
-  retryAttempts: 2,
-  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  maxConcurrent: parseInt(process.env.SCRAPE_CONCURRENCY, 10) || 4,
+  maxBrowsers: 2,
+  retryAttempts: 2, // retries after the first attempt, for transient errors only
+  retryBaseDelay: 2000,
+  maxVehiclesPerDealer: parseInt(process.env.MAX_VEHICLES_PER_DEALER, 10) || 500,
+  maxPagesPerDealer: 30,
+  maxLoadMoreRounds: 20,
+  // Minimum gap between page requests to one host; a longer robots.txt Crawl-delay wins
+  hostDelayMs: parseInt(process.env.SCRAPE_HOST_DELAY_MS, 10) || 2000,
+  userAgent: USER_AGENT
 };
 
-// Common patterns for finding inventory pages
-const INVENTORY_PATTERNS = [
-  { path: '/new-vehicles', keywords: ['new', 'inventory', 'vehicles'], score: 10 },
-  { path: '/inventory/new', keywords: ['new', 'inventory'], score: 9 },
-  { path: '/new-inventory', keywords: ['new', 'inventory'], score: 9 },
-  { path: '/vehicles/new', keywords: ['vehicles', 'new'], score: 8 },
-  { path: '/new', keywords: ['new'], score: 6 },
-  { path: '/inventory', keywords: ['inventory'], score: 7 },
-  { path: '/showroom', keywords: ['showroom', 'new'], score: 5 },
-  { path: '/browse', keywords: ['browse', 'vehicles'], score: 4 }
-];
-
-// Vehicle data selectors
-const VEHICLE_SELECTORS = {
-  container: [
-    '.vehicle-card', '.inventory-item', '.car-item', '.vehicle-listing',
-    '.product-item', '.vehicle-tile', '.inventory-card', '[data-vehicle]',
-    '.vehicle', '.car', '.auto', '.listing'
-  ],
-  make: [
-    '.make', '.vehicle-make', '[data-make]', '.manufacturer',
-    'h2', 'h3', '.title', '.vehicle-title', '.brand'
-  ],
-  model: [
-    '.model', '.vehicle-model', '[data-model]', '.vehicle-name',
-    '.car-model', '.product-name', '.vehicle-title'
-  ],
-  year: [
-    '.year', '.vehicle-year', '[data-year]', '.model-year'
-  ],
-  price: [
-    '.price', '.vehicle-price', '[data-price]', '.cost', '.msrp',
-    '.pricing', '.amount', '.currency', '.vehicle-cost'
-  ],
-  stock: [
-    '.stock', '.vin', '[data-vin]', '.vehicle-id', '.stock-number',
-    '.stock-no', '.inventory-id'
-  ],
-  trim: [
-    '.trim', '.vehicle-trim', '[data-trim]', '.grade', '.variant',
-    '.package', '.level'
-  ]
-};
+const hostLimiter = createHostRateLimiter();
 
-function parseCSVLine(line) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      values.push(current.trim().replace(/^"|"$/g, ''));
-      current = '';
-    } else {
-      current += char;
-    }
+// Every page fetch goes through here: robots.txt first, then the host's turn in the rate limiter.
+// Throws a DISALLOWED_BY_ROBOTS error for blocked URLs.
+async function politeRequest(url) {
+  const policy = await assertAllowed(url);
+  await hostLimiter.wait(url, Math.max(SCRAPING_CONFIG.hostDelayMs, policy.crawlDelayMs));
+  return policy;
+}
+
+// Clicks and scrolls make the site fetch more results for the current page, so they take the
+// host's turn like a page load. Resolves to false when robots.txt disallows the page.
+async function politeInPageRequest(page) {
+  const url = page.url();
+  if (!(await getRobotsPolicy(url)).isAllowed(url)) {
+    console.log(`🤖 robots.txt disallows ${url}; not loading more results`);
+    return false;
   }
-  values.push(current.trim().replace(/^"|"$/g, ''));
-  return values;
+  await politeRequest(url);
+  return true;
 }
 
 async function loadCSV() {
   try {
-    const csvPath = path.join(__dirname, 'gta_car_dealers_validated_final.csv');
-    const content = await fs.readFile(csvPath, 'utf8');
-    const lines = content.split('\n').filter(line => line.trim());
-    
-    dealersDatabase = [];
-    for (let i = 1; i < lines.length; i++) {
-      const values = parseCSVLine(lines[i]);
-      if (values.length >= 6) {
-        dealersDatabase.push({
-          brand: values[0] || '',
-          name: values[1] || '',
-          address: values[2] || '',
-          city: values[3] || '',
-          phone: values[4] || '',
-          website: values[5] || '',
-          validationStatus: values[6] || '',
-          lastChecked: values[7] || ''
-        });
-      }
+    const { dealers, assignedIds } = await readDealers();
+    
+    // Keep what scraping learned about each dealer across reloads
+    const previous = new Map(dealersDatabase.map(dealer => [dealer.id, dealer]));
+    for (const dealer of dealers) {
+      const known = previous.get(dealer.id);
+      if (known && known.platform) dealer.platform = known.platform;
     }
     
+    geocodeDealers(dealers);
+    dealersDatabase = dealers;
+    inventoryStore.setDealers(dealers);
     console.log(`✅ Loaded ${dealersDatabase.length} dealers from CSV`);
+    
+    if (assignedIds > 0) {
+      await saveAssignedIds();
+      console.log(`🆔 Assigned IDs to ${assignedIds} dealers in the CSV`);
+    }
   } catch (error) {
     console.error('❌ Error loading CSV:', error);
   }
 }
 
-// Find inventory page URL for a dealer
+// Find the inventory page for each condition (new, used, certified), fingerprinting the
+// website platform on the way. Candidates come from homepage links, the site's sitemaps
+// and known platform URLs. Returns { pages, platform, sitemap } where pages is
+// [{ condition, url, confidence, pattern, source }] (empty if nothing matched). Homepage
+// fetch errors are thrown so the caller's retry policy can classify them.
 async function findInventoryPage(baseUrl) {
   try {
-    console.log(`🔍 Looking for inventory page: ${baseUrl}`);
+    console.log(`🔍 Looking for inventory pages: ${baseUrl}`);
     
+    const robots = await politeRequest(baseUrl);
     const response = await axios.get(baseUrl, {
       timeout: 10000,
       headers: { 'User-Agent': SCRAPING_CONFIG.userAgent }
@@ -126,6 +119,16 @@ async function findInventoryPage(baseUrl) {
     const $ = cheerio.load(response.data);
     const inventoryUrls = [];
     
+    const platform = detectPlatform($);
+    const profile = getPlatformProfile(platform && platform.id);
+    const patterns = profile === GENERIC_PROFILE
+      ? GENERIC_PROFILE.inventoryPatterns
+      : [...profile.inventoryPatterns, ...GENERIC_PROFILE.inventoryPatterns];
+    
+    if (platform) {
+      console.log(`🧩 Detected platform: ${platform.name} (${platform.signals.join(', ')})`);
+    }
+    
     // Look for inventory links
     $('a[href]').each((i, elem) => {
       const href = $(elem).attr('href');
@@ -134,14 +137,18 @@ async function findInventoryPage(baseUrl) {
       if (href && href.length > 0) {
         let fullUrl;
         try {
-          fullUrl = href.startsWith('http') ? href : new URL(href, baseUrl).href;
+          // Resolving absolute links too means every candidate is a valid URL by the time it is ranked
+          fullUrl = new URL(href, baseUrl).href;
         } catch (e) {
           return; // Skip invalid URLs
         }
         
+        // The link's own wording wins over the pattern ("/inventory?type=used" is used stock)
+        const linkCondition = conditionFromLink(fullUrl, text);
+        
         // Check against patterns
-        for (const pattern of INVENTORY_PATTERNS) {
-          const matchesPath = href.toLowerCase().includes(pattern.path);
+        for (const pattern of patterns) {
+          const matchesPath = href.toLowerCase().includes(pattern.path.toLowerCase());
           const matchesKeywords = pattern.keywords.some(keyword => 
             text.includes(keyword) || href.toLowerCase().includes(keyword)
           );
@@ -149,132 +156,326 @@ async function findInventoryPage(baseUrl) {
           if (matchesPath || matchesKeywords) {
             inventoryUrls.push({
               url: fullUrl,
+              condition: linkCondition || pattern.condition || 'new',
               confidence: matchesPath ? pattern.score : Math.floor(pattern.score / 2),
               text: text,
-              pattern: pattern.path
+              pattern: pattern.path,
+              source: 'homepage'
             });
           }
         }
       }
     });
     
-    if (inventoryUrls.length > 0) {
-      inventoryUrls.sort((a, b) => b.confidence - a.confidence);
-      console.log(`✅ Found inventory page: ${inventoryUrls[0].url} (confidence: ${inventoryUrls[0].confidence})`);
-      return inventoryUrls[0].url;
+    // Known platforms have stable inventory URLs even when the menu is rendered by JavaScript
+    if (profile !== GENERIC_PROFILE) {
+      for (const condition of CONDITIONS) {
+        if (inventoryUrls.some(candidate => candidate.condition === condition)) continue;
+        const pattern = profile.inventoryPatterns.find(p => p.condition === condition);
+        if (!pattern) continue;
+        inventoryUrls.push({
+          url: new URL(pattern.path, baseUrl).href,
+          condition,
+          confidence: Math.floor(pattern.score / 2),
+          text: '',
+          pattern: pattern.path,
+          source: 'platform'
+        });
+      }
+    }
+    
+    // Menus rendered by JavaScript leave nothing for the anchor scan, but sitemaps still list the pages
+    const sitemap = await readSitemaps(robots.origin, robots.sitemaps, { request: politeRequest });
+    const ranked = rankSitemapUrls(sitemap.urls, patterns);
+    inventoryUrls.push(...ranked.candidates);
+    const sitemapSummary = { sitemaps: sitemap.sitemaps, urls: sitemap.urls.length, vehicleUrls: ranked.vehicleUrls };
+    if (sitemap.sitemaps.length > 0) {
+      console.log(`🗺️ Read ${sitemap.sitemaps.length} sitemap(s): ${sitemap.urls.length} URLs, ${ranked.vehicleUrls.total} vehicle pages`);
+    }
+    
+    // Best URL per condition; a mixed listing page is only scraped once, under its strongest condition.
+    // The sort is stable, so on equal confidence a homepage link beats a sitemap entry.
+    inventoryUrls.sort((a, b) => b.confidence - a.confidence);
+    const pages = [];
+    const disallowed = [];
+    for (const candidate of inventoryUrls) {
+      if (pages.some(page => page.condition === candidate.condition || page.url === candidate.url)) continue;
+      // Same-site links can be checked now; other hosts are checked when they are scraped
+      if (new URL(candidate.url).origin === robots.origin && !robots.isAllowed(candidate.url)) {
+        disallowed.push(candidate.url);
+        continue;
+      }
+      pages.push({
+        condition: candidate.condition,
+        url: candidate.url,
+        confidence: candidate.confidence,
+        pattern: candidate.pattern,
+        source: candidate.source
+      });
+    }
+    pages.sort((a, b) => CONDITIONS.indexOf(a.condition) - CONDITIONS.indexOf(b.condition));
+    
+    if (pages.length > 0) {
+      pages.forEach(page => {
+        console.log(`✅ Found ${page.condition} inventory page via ${page.source}: ${page.url} (confidence: ${page.confidence})`);
+      });
+      return { pages, platform, sitemap: sitemapSummary };
+    }
+    
+    if (disallowed.length > 0) {
+      throw robotsError(disallowed[0]);
     }
     
     console.log(`⚠️ No inventory page found for ${baseUrl}`);
-    return null;
+    return { pages: [], platform, sitemap: sitemapSummary };
     
   } catch (error) {
     console.log(`❌ Error finding inventory page for ${baseUrl}:`, error.message);
-    return null;
+    throw error;
   }
 }
 
-// Extract vehicle data from inventory page
-async function scrapeVehicleInventory(inventoryUrl, dealerInfo) {
-  let browser;
+// Extract vehicle data from inventory page using the dealer's platform profile
+async function scrapeVehicleInventory(inventoryUrl, dealerInfo, profile = GENERIC_PROFILE, pool) {
   try {
     console.log(`🚗 Scraping inventory: ${dealerInfo.name}`);
+    await politeRequest(inventoryUrl);
     
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--no-first-run'
-      ],
-      timeout: SCRAPING_CONFIG.timeout
-    });
-    
-    const page = await browser.newPage();
-    await page.setUserAgent(SCRAPING_CONFIG.userAgent);
-    await page.setViewport({ width: 1366, height: 768 });
-    
-    await page.goto(inventoryUrl, { 
-      waitUntil: 'networkidle2', 
-      timeout: SCRAPING_CONFIG.timeout 
-    });
-    
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    const vehicles = [];
-    
-    for (const containerSelector of VEHICLE_SELECTORS.container) {
-      try {
-        const containers = await page.$$(containerSelector);
+    return await pool.withPage(async page => {
+      const response = await page.goto(inventoryUrl, { 
+        waitUntil: 'networkidle2', 
+        timeout: SCRAPING_CONFIG.timeout 
+      });
+      
+      if (response && response.status() >= 400) {
+        throw httpError(response.status(), inventoryUrl);
+      }
+      scrapeEvents.publish('inventory_found', { dealer: dealerInfo.name, url: inventoryUrl });
+      
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      
+      const vehicles = [];
+      const deduper = createVehicleDeduper();
+      const visitedUrls = new Set();
+      const maxVehicles = SCRAPING_CONFIG.maxVehiclesPerDealer;
+      let pageUrl = inventoryUrl;
+      
+      for (let pageNumber = 1; pageNumber <= SCRAPING_CONFIG.maxPagesPerDealer; pageNumber++) {
+        visitedUrls.add(normalizePageUrl(pageUrl));
+        deduper.startPage();
+      
+        const selectorState = { selector: null, processed: 0 };
+        let addedOnPage = 0;
+      
+        // Keep extracting while "load more" / infinite scroll adds vehicles to this page
+        for (let round = 0; round <= SCRAPING_CONFIG.maxLoadMoreRounds; round++) {
+          if (round > 0 && !(await politeInPageRequest(page) && await loadMoreInPlace(page))) break;
         
-        if (containers.length > 0) {
-          console.log(`📦 Found ${containers.length} vehicle containers using: ${containerSelector}`);
-          
-          const maxVehicles = Math.min(containers.length, 20);
-          
-          for (let i = 0; i < maxVehicles; i++) {
-            try {
-              const vehicle = await extractVehicleData(page, containers[i], dealerInfo, inventoryUrl);
-              if (vehicle && (vehicle.make || vehicle.model)) {
-                vehicles.push(vehicle);
-              }
-            } catch (error) {
-              console.log(`⚠️ Error extracting vehicle ${i + 1}:`, error.message);
+          const extracted = await extractVehiclesFromPage(page, dealerInfo, pageUrl, profile, selectorState, maxVehicles - vehicles.length);
+          if (extracted.cumulative) deduper.startPage();
+        
+          let added = 0;
+          for (const vehicle of extracted.vehicles) {
+            if (vehicles.length >= maxVehicles) break;
+            if (deduper.add(vehicle)) {
+              vehicles.push(vehicle);
+              added++;
             }
           }
-          
-          if (vehicles.length > 0) {
-            console.log(`✅ Successfully extracted ${vehicles.length} vehicles from ${dealerInfo.name}`);
-            break;
-          }
+          addedOnPage += added;
+        
+          if (added === 0 || vehicles.length >= maxVehicles) break;
+        }
+      
+        console.log(`📄 Page ${pageNumber}: ${addedOnPage} new vehicles (${vehicles.length} total)`);
+        scrapeEvents.publish('vehicles_extracted', {
+          dealer: dealerInfo.name,
+          url: pageUrl,
+          page: pageNumber,
+          count: addedOnPage,
+          total: vehicles.length
+        });
+      
+        if (addedOnPage === 0 || vehicles.length >= maxVehicles) break;
+      
+        const nextUrl = await findNextPageUrl(page, pageUrl, visitedUrls);
+        if (nextUrl && !(await getRobotsPolicy(nextUrl)).isAllowed(nextUrl)) {
+          console.log(`🤖 robots.txt disallows the next page (${nextUrl}); stopping pagination`);
+          break;
+        }
+        if (nextUrl) {
+          await politeRequest(nextUrl);
+          pageUrl = nextUrl;
+          await page.goto(pageUrl, { 
+            waitUntil: 'networkidle2', 
+            timeout: SCRAPING_CONFIG.timeout 
+          });
+        } else if (!(await politeInPageRequest(page) && await clickNextButton(page))) {
+          break;
+        } else if (page.url() !== pageUrl && !(await getRobotsPolicy(page.url())).isAllowed(page.url())) {
+          // The button navigated somewhere the site asks crawlers not to read
+          console.log(`🤖 robots.txt disallows the next page (${page.url()}); stopping pagination`);
+          break;
         }
-      } catch (error) {
-        console.log(`⚠️ Error with selector ${containerSelector}:`, error.message);
       }
-    }
-    
-    return vehicles;
+      
+      if (vehicles.length >= maxVehicles) {
+        console.log(`⚠️ Reached the ${maxVehicles}-vehicle limit for ${dealerInfo.name}`);
+      }
+      console.log(`✅ Successfully extracted ${vehicles.length} vehicles from ${dealerInfo.name}`);
+      
+      return vehicles;
+    });
     
   } catch (error) {
     console.log(`❌ Error scraping ${inventoryUrl}:`, error.message);
-    return [];
-  } finally {
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (e) {
-        console.log('⚠️ Error closing browser:', e.message);
+    throw error;
+  }
+}
+
+// Extracts the vehicles currently rendered on the page. Structured data always
+// returns the full list (cumulative); the selector path only reads containers
+// added since the last call, tracked in selectorState.
+async function extractVehiclesFromPage(page, dealerInfo, pageUrl, profile, selectorState, limit) {
+  // Prefer schema.org JSON-LD / microdata over guessing with CSS selectors
+  const structured = extractStructuredVehicles(await page.content());
+  if (structured.vehicles.length > 0) {
+    return {
+      cumulative: true,
+      vehicles: structured.vehicles.map(data => createStructuredVehicle(data, dealerInfo, pageUrl, structured.method))
+    };
+  }
+  
+  const vehicles = [];
+  // Platform containers first, then the generic ones in case the platform markup changed
+  const containerSelectors = selectorState.selector
+    ? [selectorState.selector]
+    : [...new Set([...profile.selectors.container, ...GENERIC_PROFILE.selectors.container])];
+  
+  for (const containerSelector of containerSelectors) {
+    try {
+      const containers = await page.$$(containerSelector);
+      
+      if (containers.length > selectorState.processed) {
+        console.log(`📦 Found ${containers.length} vehicle containers using: ${containerSelector}`);
+        
+        const end = Math.min(containers.length, selectorState.processed + limit);
+        const fieldSelectors = profile.selectors.container.includes(containerSelector)
+          ? { ...GENERIC_PROFILE.selectors, ...profile.selectors }
+          : GENERIC_PROFILE.selectors;
+        
+        for (let i = selectorState.processed; i < end; i++) {
+          try {
+            const vehicle = await extractVehicleData(page, containers[i], dealerInfo, pageUrl, fieldSelectors);
+            if (vehicle && (vehicle.make || vehicle.model)) {
+              vehicles.push(vehicle);
+            }
+          } catch (error) {
+            console.log(`⚠️ Error extracting vehicle ${i + 1}:`, error.message);
+          }
+        }
+        
+        if (vehicles.length > 0) {
+          selectorState.selector = containerSelector;
+          selectorState.processed = end;
+          break;
+        }
       }
+    } catch (error) {
+      console.log(`⚠️ Error with selector ${containerSelector}:`, error.message);
     }
   }
+  
+  return { cumulative: false, vehicles };
 }
 
-async function extractVehicleData(page, container, dealerInfo, sourceUrl) {
-  const vehicle = {
+function createVehicleRecord(dealerInfo, sourceUrl, extractionMethod) {
+  return {
     dealer: dealerInfo.name,
+    dealerId: dealerInfo.id || '',
     brand: dealerInfo.brand,
     city: dealerInfo.city,
     make: '',
     model: '',
     year: '',
     trim: '',
+    drivetrain: '',
+    rawTitle: '',
+    catalogConfidence: '',
     price: '',
+    priceType: '',
+    priceText: '',
+    msrp: '',
+    salePrice: '',
+    internetPrice: '',
+    paymentAmount: '',
+    paymentFrequency: '',
+    paymentTermMonths: '',
+    paymentRate: '',
+    paymentType: '',
     stock: '',
+    vin: '',
+    vinStatus: '',
+    vinManufacturer: '',
+    plantCode: '',
+    vinConflicts: '',
+    condition: '',
+    odometerKm: '',
+    detailUrl: '',
+    extractionMethod: extractionMethod,
     scrapedAt: new Date().toISOString(),
     sourceUrl: sourceUrl
   };
+}
+
+function createStructuredVehicle(data, dealerInfo, sourceUrl, extractionMethod) {
+  const vehicle = createVehicleRecord(dealerInfo, sourceUrl, extractionMethod);
   
-  for (const [field, selectors] of Object.entries(VEHICLE_SELECTORS)) {
+  for (const field of ['make', 'model', 'trim']) {
+    vehicle[field] = cleanText(data[field], field);
+  }
+  vehicle.year = data.year;
+  if (data.price) {
+    Object.assign(vehicle, priceFields(data.price, data.priceType));
+  }
+  vehicle.stock = cleanText(data.stock, 'stock');
+  vehicle.vin = data.vin;
+  vehicle.odometerKm = data.odometerKm;
+  vehicle.condition = data.condition || '';
+  applyVinDecoding(vehicle);
+  applyCatalog(vehicle, dealerInfo);
+  
+  if (data.detailUrl) {
+    try {
+      vehicle.detailUrl = new URL(data.detailUrl, sourceUrl).href;
+    } catch (e) {
+      vehicle.detailUrl = '';
+    }
+  }
+  
+  if (!vehicle.make && dealerInfo.brand) {
+    vehicle.make = dealerInfo.brand;
+  }
+  
+  return vehicle;
+}
+
+async function extractVehicleData(page, container, dealerInfo, sourceUrl, fieldSelectors = GENERIC_PROFILE.selectors) {
+  const vehicle = createVehicleRecord(dealerInfo, sourceUrl, 'selectors');
+  
+  for (const [field, selectors] of Object.entries(fieldSelectors)) {
     if (field === 'container') continue;
     
-    for (const selector of selectors) {
+    for (const entry of selectors) {
       try {
-        const element = await container.$(selector);
+        // "selector@attr" reads an attribute; a bare "@attr" reads it from the container
+        const [selector, attribute] = entry.split('@');
+        const element = selector ? await container.$(selector) : container;
         if (element) {
-          const text = await page.evaluate(el => {
+          const text = await page.evaluate((el, attr) => {
+            if (attr) return el.getAttribute(attr)?.trim() || '';
             return el.textContent?.trim() || el.innerText?.trim() || '';
-          }, element);
+          }, element, attribute);
           
           if (text && text.length > 0 && text !== 'undefined') {
             vehicle[field] = cleanText(text, field);
@@ -291,10 +492,25 @@ async function extractVehicleData(page, container, dealerInfo, sourceUrl) {
     vehicle.year = extractYear(vehicle.year);
   }
   
+  // Splits "MSRP $49,999 Sale $45,999" / "$389 bi-weekly" into typed amounts; price is the effective one
   if (vehicle.price) {
-    vehicle.price = extractPrice(vehicle.price);
+    Object.assign(vehicle, priceFields(vehicle.price));
   }
   
+  if (vehicle.odometerKm) {
+    vehicle.odometerKm = extractOdometerKm(vehicle.odometerKm);
+  }
+  
+  vehicle.condition = normalizeCondition(vehicle.condition);
+  
+  // Cards often print the VIN without a dedicated element
+  let containerText = '';
+  if (!findVin(vehicle.vin) && !findVin(vehicle.stock)) {
+    containerText = await page.evaluate(el => el.textContent || '', container).catch(() => '');
+  }
+  applyVinDecoding(vehicle, containerText);
+  applyCatalog(vehicle, dealerInfo);
+  
   if (!vehicle.make && dealerInfo.brand) {
     vehicle.make = dealerInfo.brand;
   }
@@ -302,6 +518,67 @@ async function extractVehicleData(page, container, dealerInfo, sourceUrl) {
   return vehicle;
 }
 
+function normalizeMake(make) {
+  return String(make || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Separates VIN from stock number, validates the check digit and uses the
+// decoded VIN to fill make/year or flag where the listing disagrees with it
+function applyVinDecoding(vehicle, containerText = '') {
+  const found = findVin(vehicle.vin) || findVin(vehicle.stock) || findVin(containerText);
+  
+  if (!found) {
+    vehicle.vin = '';
+    return vehicle;
+  }
+  
+  if (vehicle.stock && vehicle.stock.toUpperCase().includes(found.vin)) {
+    vehicle.stock = '';
+  }
+  vehicle.vin = found.vin;
+  
+  if (!found.valid) {
+    vehicle.vinStatus = 'invalid_check_digit';
+    return vehicle;
+  }
+  
+  const decoded = decodeVin(found.vin);
+  const conflicts = [];
+  vehicle.vinStatus = 'valid';
+  vehicle.vinManufacturer = decoded.manufacturer;
+  vehicle.plantCode = decoded.plantCode;
+  
+  if (decoded.make) {
+    const listed = normalizeMake(vehicle.make);
+    const fromVin = normalizeMake(decoded.make);
+    if (!listed) {
+      vehicle.make = decoded.make;
+    } else if (!listed.includes(fromVin) && !fromVin.includes(listed)) {
+      conflicts.push('make');
+    }
+  }
+  
+  if (decoded.modelYear) {
+    if (!vehicle.year) {
+      vehicle.year = String(decoded.modelYear);
+    } else if (vehicle.year !== String(decoded.modelYear)) {
+      conflicts.push('year');
+    }
+  }
+  
+  vehicle.vinConflicts = conflicts.join(';');
+  return vehicle;
+}
+
+// Canonical make/model/trim/drivetrain from the bundled catalog ("Rav 4 XLE Hybrid" -> RAV4 Hybrid XLE);
+// what the catalog doesn't know is logged for GET /catalog/unmatched
+function applyCatalog(vehicle, dealerInfo) {
+  const { fields, unmatched } = vehicleNormalizer.catalogFields(vehicle, dealerInfo.brand);
+  Object.assign(vehicle, fields);
+  vehicleNormalizer.recordUnmatched(unmatched, vehicle);
+  return vehicle;
+}
+
 function cleanText(text, field) {
   if (!text) return '';
   
@@ -309,7 +586,8 @@ function cleanText(text, field) {
   
   switch (field) {
     case 'price':
-      return text.replace(/[^\d,.$]/g, '');
+      // Kept whole: the words around each amount say what kind of price it is
+      return text.substring(0, 200);
     case 'year':
       const yearMatch = text.match(/20\d{2}/);
       return yearMatch ? yearMatch[0] : text.substring(0, 10);
@@ -317,6 +595,10 @@ function cleanText(text, field) {
     case 'model':
     case 'trim':
       return text.replace(/[^\w\s-]/g, '').trim().substring(0, 50);
+    case 'stock':
+      return text.replace(/^(stock|stk)\s*(#|no\.?|number)?\s*:?\s*/i, '').substring(0, 50);
+    case 'vin':
+      return text.replace(/^vin\s*#?\s*:?\s*/i, '').toUpperCase().substring(0, 50);
     default:
       return text.substring(0, 100);
   }
@@ -327,39 +609,62 @@ function extractYear(text) {
   return yearMatch ? yearMatch[0] : '';
 }
 
-function extractPrice(text) {
-  const cleanPrice = text.replace(/[^\d,]/g, '');
-  return cleanPrice || '';
+// "45,123 km" -> "45123"; US-market listings in miles are converted
+function extractOdometerKm(text) {
+  const match = text.replace(/[,\s](?=\d{3}\b)/g, '').match(/(\d+(?:\.\d+)?)\s*(km|kms|kilom\w*|mi|miles?)?\b/i);
+  if (!match) return '';
+  
+  const amount = parseFloat(match[1]);
+  const isMiles = match[2] && /^mi/i.test(match[2]);
+  return String(Math.round(isMiles ? amount * 1.609344 : amount));
 }
 
-async function saveVehiclesToCSV(vehicles) {
+async function readStockCSV() {
+  const stockPath = path.join(__dirname, 'stock.csv');
+  const content = await fs.readFile(stockPath, 'utf8');
+  const lines = content.split('\n').filter(line => line.trim());
+  const vehicles = [];
+  
+  const headers = parseCSVLine(lines[0] || '');
+  for (let i = 1; i < lines.length; i++) {
+    const values = parseCSVLine(lines[i]);
+    if (values.length >= 11) {
+      const vehicle = {};
+      for (const column of STOCK_COLUMNS) {
+        const index = headers.indexOf(column.header);
+        vehicle[column.field] = index >= 0 ? (values[index] || '') : '';
+      }
+      vehicles.push(vehicle);
+    }
+  }
+  
+  return vehicles;
+}
+
+// Seeds an empty inventory store from an existing stock.csv so its history isn't lost
+async function migrateStockCSV() {
   try {
-    const csvPath = path.join(__dirname, 'stock.csv');
-    const headers = [
-      'Dealer', 'Brand', 'City', 'Make', 'Model', 'Year', 'Trim', 
-      'Price', 'Stock', 'Scraped At', 'Source URL'
-    ];
+    if (!(await inventoryStore.isEmpty())) return;
     
-    let csvContent = headers.join(',') + '\n';
-    
-    vehicles.forEach(vehicle => {
-      const row = [
-        escapeCSV(vehicle.dealer),
-        escapeCSV(vehicle.brand),
-        escapeCSV(vehicle.city),
-        escapeCSV(vehicle.make),
-        escapeCSV(vehicle.model),
-        escapeCSV(vehicle.year),
-        escapeCSV(vehicle.trim),
-        escapeCSV(vehicle.price),
-        escapeCSV(vehicle.stock),
-        escapeCSV(vehicle.scrapedAt),
-        escapeCSV(vehicle.sourceUrl)
-      ];
-      csvContent += row.join(',') + '\n';
+    const vehicles = await readStockCSV().catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
     });
     
-    await fs.writeFile(csvPath, csvContent, 'utf8');
+    if (vehicles.length > 0) {
+      const runId = await inventoryStore.importVehicles(vehicles);
+      console.log(`📦 Imported ${vehicles.length} vehicles from stock.csv into the inventory store (${runId})`);
+    }
+  } catch (error) {
+    console.error('❌ Error importing stock.csv:', error);
+  }
+}
+
+// stock.csv is an export of the latest snapshot in the inventory store
+async function saveVehiclesToCSV(vehicles) {
+  try {
+    const csvPath = path.join(__dirname, 'stock.csv');
+    await fs.writeFile(csvPath, toCSV(vehicles, STOCK_COLUMNS), 'utf8');
     console.log(`✅ Saved ${vehicles.length} vehicles to stock.csv`);
     
     return csvPath;
@@ -369,196 +674,967 @@ async function saveVehiclesToCSV(vehicles) {
   }
 }
 
-function escapeCSV(field) {
-  if (field === null || field === undefined) return '""';
-  const str = String(field);
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return '"' + str.replace(/"/g, '""') + '"';
+// Inventory pages to scrape for a dealer. Cached pages skip the homepage crawl; discovery
+// runs when nothing is cached or when rediscover is set because a cached page stopped
+// working. Pinned pages always replace what discovery finds for their condition.
+async function resolveInventoryPages(dealer, cached, attempts, retryOptions, rediscover = false) {
+  const pinned = cached ? cached.pinned : [];
+  // A pinned dealer whose discovery found nothing else isn't crawled again on every run
+  const usable = cached && (cached.pages.length > 0 || (pinned.length > 0 && cached.discoveredAt));
+  
+  if (usable && !rediscover) {
+    console.log(`📌 Using cached inventory pages for ${dealer.name}`);
+    return { pages: inventoryPageCache.mergePinnedPages(cached.pages, pinned), platform: cached.platform || 'generic', source: 'cache' };
+  }
+  
+  try {
+    const discoveryRun = await withRetry(attempt => {
+      attempts.discovery++;
+      return findInventoryPage(dealer.website);
+    }, { ...retryOptions, label: `Inventory discovery for ${dealer.name}` });
+    const discovery = discoveryRun.value;
+    return {
+      pages: inventoryPageCache.mergePinnedPages(discovery.pages, pinned),
+      platform: discovery.platform ? discovery.platform.id : 'generic',
+      source: 'discovery',
+      sitemap: discovery.sitemap
+    };
+  } catch (error) {
+    // A hand-verified page is still worth trying when the homepage is down
+    if (pinned.length === 0) throw error;
+    console.log(`⚠️ Discovery failed for ${dealer.name}, using pinned pages only:`, error.message);
+    return { pages: inventoryPageCache.mergePinnedPages([], pinned), platform: (cached && cached.platform) || 'generic', source: 'pinned' };
   }
-  return str;
 }
 
-async function scrapeAllDealers(maxDealers = null) {
-  if (scrapingInProgress) {
-    throw new Error('Scraping already in progress');
-  }
+// Scrapes each page into state (shared across passes so CPO stock seen twice is kept once)
+async function scrapeInventoryPages(dealer, pages, pool, state, attempts, retryOptions) {
+  const profile = getPlatformProfile(dealer.platform);
   
-  scrapingInProgress = true;
-  lastScrapeResults = [];
-  
-  try {
-    const dealersToScrape = maxDealers ? dealersDatabase.slice(0, maxDealers) : dealersDatabase;
-    const allVehicles = [];
-    let successCount = 0;
-    let failCount = 0;
-    
-    console.log(`🚀 Starting to scrape ${dealersToScrape.length} dealers...`);
+  for (const inventoryPage of pages) {
+    const { condition, url } = inventoryPage;
     
-    for (let i = 0; i < dealersToScrape.length; i++) {
-      const dealer = dealersToScrape[i];
+    try {
+      const inventoryRun = await withRetry(attempt => {
+        attempts.inventory++;
+        return scrapeVehicleInventory(url, dealer, profile, pool);
+      }, { ...retryOptions, label: `${condition} inventory scrape for ${dealer.name}` });
       
-      try {
-        console.log(`\n📍 Processing ${i + 1}/${dealersToScrape.length}: ${dealer.name}`);
-        
-        if (!dealer.website || dealer.website.trim() === '') {
-          lastScrapeResults.push({
-            dealer: dealer.name,
-            status: 'no_website',
-            vehicles: [],
-            error: 'No website URL provided'
-          });
-          failCount++;
-          continue;
-        }
-        
-        const inventoryUrl = await findInventoryPage(dealer.website);
+      state.inventoryPages[condition] = url;
+      state.working.push(inventoryPage);
+      delete state.conditionErrors[condition];
+      // A page that loads but lists nothing has most likely been replaced by another one
+      if (inventoryRun.value.length === 0) state.broken.push(inventoryPage);
+      
+      for (const vehicle of inventoryRun.value) {
+        // A card's own badge ("Certified") beats the page it was listed on
+        vehicle.condition = vehicle.condition || condition;
         
-        if (!inventoryUrl) {
-          lastScrapeResults.push({
-            dealer: dealer.name,
-            status: 'no_inventory_page',
-            vehicles: [],
-            error: 'Could not find inventory page'
-          });
-          failCount++;
+        // CPO stock is often listed on both the used and the certified page
+        const { key, strong } = vehicleIdentity(vehicle);
+        const duplicate = strong && state.seen.get(key);
+        if (duplicate) {
+          if (vehicle.condition === 'certified') duplicate.condition = 'certified';
           continue;
         }
+        if (strong) state.seen.set(key, vehicle);
+        state.vehicles.push(vehicle);
+      }
+    } catch (error) {
+      // A guessed platform URL that doesn't exist just means the dealer doesn't list that condition
+      if (inventoryPage.source === 'platform' && !inventoryPage.verifiedAt && error.status === 404) continue;
+      
+      console.log(`⚠️ ${condition} inventory failed for ${dealer.name}:`, error.message);
+      state.conditionErrors[condition] = error.message;
+      state.failed.push(inventoryPage);
+      // Timeouts, network errors, 5xx and 429 say nothing about whether the page has moved
+      (error.retryable ? state.unreachable : state.broken).push(inventoryPage);
+      state.lastError = error;
+    }
+  }
+}
+
+// Discover and scrape one dealer; always resolves to a result entry.
+// Discovery and inventory scraping are each retried on transient errors. Once signal is
+// aborted the result is discarded, so nothing is re-discovered or cached.
+async function scrapeDealer(dealer, pool, signal) {
+  const attempts = { discovery: 0, inventory: 0 };
+  const retryOptions = { retries: SCRAPING_CONFIG.retryAttempts, baseDelayMs: SCRAPING_CONFIG.retryBaseDelay };
+  
+  try {
+    if (!dealer.website || dealer.website.trim() === '') {
+      return {
+        dealer: dealer.name,
+        dealerId: dealer.id,
+        status: 'no_website',
+        vehicles: [],
+        attempts,
+        error: 'No website URL provided'
+      };
+    }
+    
+    const cached = await inventoryPageCache.getInventoryPages(dealer);
+    let resolved = await resolveInventoryPages(dealer, cached, attempts, retryOptions);
+    dealer.platform = resolved.platform;
+    
+    if (resolved.pages.length === 0) {
+      return {
+        dealer: dealer.name,
+        dealerId: dealer.id,
+        status: 'no_inventory_page',
+        platform: dealer.platform,
+        vehicles: [],
+        attempts,
+        error: 'Could not find inventory page'
+      };
+    }
+    
+    // broken: pages that failed permanently or listed nothing; unreachable: pages that failed with a retryable error
+    const state = { vehicles: [], seen: new Map(), inventoryPages: {}, conditionErrors: {}, working: [], failed: [], broken: [], unreachable: [], lastError: null };
+    await scrapeInventoryPages(dealer, resolved.pages, pool, state, attempts, retryOptions);
+    const cancelled = () => Boolean(signal && signal.aborted);
+    const productive = condition => state.working.some(page => page.condition === condition && !state.broken.includes(page));
+    
+    // A cached page is broken: the site has probably moved its inventory, so look again.
+    // Pinned pages are never re-discovered; their errors are left for a person to fix.
+    if (!cancelled() && resolved.source === 'cache' && state.broken.some(page => page.source !== 'pinned')) {
+      console.log(`🔄 Cached inventory page failed for ${dealer.name}, re-discovering`);
+      try {
+        resolved = await resolveInventoryPages(dealer, cached, attempts, retryOptions, true);
+        dealer.platform = resolved.platform;
         
-        const vehicles = await scrapeVehicleInventory(inventoryUrl, dealer);
-        
-        lastScrapeResults.push({
-          dealer: dealer.name,
-          status: 'success',
-          vehicles: vehicles,
-          count: vehicles.length,
-          inventoryUrl: inventoryUrl
-        });
-        
-        successCount++;
-        allVehicles.push(...vehicles);
-        
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
+        const triedUrls = [...state.working, ...state.failed].map(page => page.url);
+        const retryPages = resolved.pages.filter(page =>
+          !productive(page.condition) && !triedUrls.includes(page.url)
+        );
+        await scrapeInventoryPages(dealer, retryPages, pool, state, attempts, retryOptions);
       } catch (error) {
-        console.log(`❌ Failed to scrape ${dealer.name}:`, error.message);
-        lastScrapeResults.push({
-          dealer: dealer.name,
-          status: 'error',
-          error: error.message,
-          vehicles: []
-        });
-        failCount++;
+        // Keep whatever the cached pages that still work produced
+        console.log(`⚠️ Re-discovery failed for ${dealer.name}:`, error.message);
+        state.lastError = state.lastError || error;
       }
     }
     
-    if (allVehicles.length > 0) {
-      await saveVehiclesToCSV(allVehicles);
+    // Pages that produced vehicles are cached. A cached page that was only unreachable is kept
+    // until something replaces it; one that is broken is dropped so the next scrape discovers again.
+    if (!cancelled() && state.working.length + state.failed.length > 0) {
+      await inventoryPageCache.saveVerifiedPages(dealer, {
+        platform: dealer.platform,
+        pages: state.working.filter(page => !state.broken.includes(page)),
+        kept: state.unreachable.filter(page => page.verifiedAt && !productive(page.condition)),
+        discovered: resolved.source === 'discovery'
+      });
+    }
+    
+    const { vehicles, inventoryPages, conditionErrors } = state;
+    
+    // Every condition page failed: report it like any other scrape failure
+    if (Object.keys(inventoryPages).length === 0 && state.lastError) {
+      throw state.lastError;
+    }
+    
+    if (Object.keys(inventoryPages).length === 0) {
+      return {
+        dealer: dealer.name,
+        dealerId: dealer.id,
+        status: 'no_inventory_page',
+        platform: dealer.platform,
+        vehicles: [],
+        attempts,
+        error: 'Could not find inventory page'
+      };
+    }
+    
+    const conditions = {};
+    vehicles.forEach(vehicle => {
+      conditions[vehicle.condition] = (conditions[vehicle.condition] || 0) + 1;
+    });
+    
+    return {
+      dealer: dealer.name,
+      dealerId: dealer.id,
+      status: 'success',
+      platform: dealer.platform,
+      vehicles: vehicles,
+      count: vehicles.length,
+      conditions,
+      attempts,
+      inventoryUrl: inventoryPages.new || Object.values(inventoryPages)[0],
+      inventoryPages,
+      // How each page was originally found: homepage, sitemap, platform or pinned
+      inventoryPageSources: Object.fromEntries(state.working.map(page => [page.condition, page.source])),
+      inventorySource: resolved.source,
+      sitemapVehicleUrls: resolved.sitemap ? resolved.sitemap.vehicleUrls.total : undefined,
+      conditionErrors
+    };
+    
+  } catch (error) {
+    console.log(`❌ Failed to scrape ${dealer.name} after ${error.attempts || 1} attempt(s):`, error.message);
+    return {
+      dealer: dealer.name,
+      dealerId: dealer.id,
+      // Not a failure of the site: the dealer asked not to be crawled
+      status: error.code === 'DISALLOWED_BY_ROBOTS' ? 'disallowed_by_robots' : 'error',
+      platform: dealer.platform || '',
+      error: error.message,
+      errorType: error.retryable ? 'retries_exhausted' : 'permanent',
+      errorReason: error.reason || 'unknown',
+      attempts,
+      vehicles: []
+    };
+  }
+}
+
+// Diffs each successfully scraped dealer against its previous snapshot and stores the changes
+async function recordInventoryChanges(runId, results) {
+  const dealerDiffs = [];
+  
+  for (const result of results) {
+    if (result.status !== 'success') continue;
+    
+    const previous = await inventoryStore.getPreviousDealerVehicles(result, runId);
+    if (!previous) continue; // First snapshot for this dealer: nothing to compare against
+    
+    // Conditions whose page failed this run weren't seen, not sold
+    const failed = Object.keys(result.conditionErrors || {});
+    const previousVehicles = previous.vehicles.filter(vehicle => !failed.includes(vehicle.condition || 'new'));
+    
+    const sample = result.vehicles[0] || previous.vehicles[0] || {};
+    dealerDiffs.push({
+      dealer: result.dealer,
+      dealerId: result.dealerId,
+      brand: sample.brand || '',
+      city: sample.city || '',
+      previousRunId: previous.runId,
+      changes: diffDealerInventory(previousVehicles, result.vehicles)
+    });
+  }
+  
+  const records = buildChangeRecords(runId, dealerDiffs);
+  await inventoryStore.recordChanges(records);
+  
+  const counts = { added: 0, removed: 0, price_changed: 0 };
+  records.forEach(record => counts[record.type]++);
+  console.log(`🆕 Changes since previous snapshots: ${counts.added} added, ${counts.removed} removed, ${counts.price_changed} price changes`);
+  
+  return counts;
+}
+
+// Dealers matching a selection (see dealer-selection.js), loading scrape history only when needed
+async function resolveDealerSelection(selection) {
+  const history = needsHistory(selection) ? await inventoryStore.getDealerScrapeHistory() : undefined;
+  return selectDealers(dealersDatabase, selection, history);
+}
+
+// options: a dealer selection ({ brands, cities, ids, names, onlyFailed, notScrapedWithinHours, maxDealers })
+// plus trigger, which is recorded on the run ('manual', 'schedule:<id>').
+// Runs are started through scrapeJobs, which passes jobId, signal (cancellation) and the progress hooks
+// onStart({ runId, total }), onDealerStart(dealer) and onDealerResult(result).
+// Progress is also published on scrapeEvents for /scrape/events.
+async function scrapeAllDealers(options = {}) {
+  const { trigger = 'manual', signal, jobId = null, ...selectionOptions } = options;
+  const selection = parseDealerSelection(selectionOptions);
+  const results = [];
+  
+  const pool = createBrowserPool({
+    maxBrowsers: SCRAPING_CONFIG.maxBrowsers,
+    pagesPerBrowser: Math.ceil(SCRAPING_CONFIG.maxConcurrent / SCRAPING_CONFIG.maxBrowsers),
+    userAgent: SCRAPING_CONFIG.userAgent,
+    launchOptions: {
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--no-first-run'
+      ],
+      timeout: SCRAPING_CONFIG.timeout
+    }
+  });
+  const domainLock = createKeyedLock();
+  let runId = null;
+  let runFinished = false;
+  
+  // Closing the browsers makes in-flight page work fail fast; no new dealers are started
+  const onAbort = () => {
+    console.log('🛑 Scrape cancelled, closing browsers...');
+    pool.close();
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  
+  try {
+    const dealersToScrape = await resolveDealerSelection(selection);
+    const allVehicles = [];
+    let started = 0;
+    
+    runId = await inventoryStore.startRun('scrape', { ...selection, trigger });
+    if (options.onStart) options.onStart({ runId, total: dealersToScrape.length });
+    scrapeEvents.publish('run_started', { jobId, runId, total: dealersToScrape.length, trigger });
+    
+    // Dealers the URL validator found dead are still attempted, but called out up front
+    const flaggedDealers = dealersToScrape
+      .filter(dealer => DEAD_STATUSES.includes(dealer.validationStatus))
+      .map(dealer => ({ id: dealer.id, dealer: dealer.name, status: dealer.validationStatus, lastChecked: dealer.lastChecked }));
+    if (flaggedDealers.length > 0) {
+      console.log(`⚠️ ${flaggedDealers.length} dealers are flagged by URL validation and will likely fail: ${flaggedDealers.map(d => d.dealer).join(', ')}`);
+    }
+    
+    console.log(`🚀 Starting to scrape ${dealersToScrape.length} dealers (${SCRAPING_CONFIG.maxConcurrent} at a time)...`);
+    
+    await runWithConcurrency(dealersToScrape, SCRAPING_CONFIG.maxConcurrent, async dealer => {
+      // Dealers on the same host (dealer groups) are scraped one after another
+      await domainLock.run(domainKey(dealer.website), async () => {
+        if (signal && signal.aborted) return;
+        console.log(`\n📍 Processing ${++started}/${dealersToScrape.length}: ${dealer.name}`);
+        if (options.onDealerStart) options.onDealerStart(dealer);
+        scrapeEvents.publish('dealer_started', { jobId, runId, dealer: dealer.name, index: started, total: dealersToScrape.length });
+        
+        const result = await scrapeDealer(dealer, pool, signal);
+        // A dealer interrupted by cancellation didn't fail; leave it out of the run
+        if (signal && signal.aborted) return;
+        
+        results.push(result);
+        allVehicles.push(...result.vehicles);
+        await inventoryStore.recordDealerResult(runId, result, result.vehicles);
+        if (options.onDealerResult) options.onDealerResult(result);
+        
+        if (result.status === 'success') {
+          scrapeEvents.publish('dealer_finished', { jobId, runId, dealer: result.dealer, count: result.count, conditions: result.conditions });
+        } else {
+          scrapeEvents.publish('dealer_failed', { jobId, runId, dealer: result.dealer, status: result.status, error: result.error });
+        }
+      });
+    });
+    
+    const cancelled = Boolean(signal && signal.aborted);
+    await inventoryStore.finishRun(runId, cancelled ? 'cancelled' : 'completed');
+    runFinished = true;
+    
+    // Dealers finished before a cancel are already part of the snapshot, so their changes count
+    const changes = await recordInventoryChanges(runId, results);
+    
+    await vehicleNormalizer.saveUnmatched();
+    
+    // Export the merged latest snapshot, not just this run, so partial runs don't shrink stock.csv.
+    // Units listed by several sister stores are written once, with every dealer in Listed At.
+    const snapshot = dedupeSnapshot(await inventoryStore.getLatestSnapshot());
+    if (snapshot.dedupe.merged > 0) {
+      const { vin, stock, specs } = snapshot.dedupe.byMatch;
+      console.log(`🔗 Merged ${snapshot.dedupe.merged} duplicate listings into ${snapshot.dedupe.groups} vehicles (VIN: ${vin}, stock number: ${stock}, specs: ${specs})`);
+    }
+    if (snapshot.vehicles.length > 0) {
+      await saveVehiclesToCSV(snapshot.vehicles);
     }
     
+    const successCount = results.filter(result => result.status === 'success').length;
+    const failCount = results.length - successCount;
+    
     const summary = {
+      runId,
+      cancelled,
       totalDealers: dealersToScrape.length,
       successCount,
       failCount,
       totalVehicles: allVehicles.length,
+      duplicateListings: snapshot.dedupe.merged,
+      changes,
+      flaggedDealers,
       timestamp: new Date().toISOString(),
-      results: lastScrapeResults
+      results
     };
     
-    console.log(`\n🎉 Scraping completed!`);
+    scrapeEvents.publish('run_finished', {
+      jobId,
+      runId,
+      status: cancelled ? 'cancelled' : 'completed',
+      totalDealers: dealersToScrape.length,
+      successCount,
+      failCount,
+      totalVehicles: allVehicles.length,
+      changes
+    });
+    
+    console.log(cancelled ? `\n🛑 Scraping cancelled after ${results.length} dealers` : `\n🎉 Scraping completed!`);
     console.log(`📊 ${successCount}/${dealersToScrape.length} dealers successful`);
     console.log(`🚗 ${allVehicles.length} total vehicles found`);
     
     return summary;
     
+  } catch (error) {
+    if (runId && !runFinished) {
+      await inventoryStore.finishRun(runId, 'failed').catch(() => {});
+    }
+    scrapeEvents.publish('run_finished', { jobId, runId, status: 'failed', error: error.message });
+    throw error;
   } finally {
-    scrapingInProgress = false;
+    if (signal) signal.removeEventListener('abort', onAbort);
+    await pool.close();
+  }
+}
+
+// Per-dealer result as kept on a job: vehicles are in the inventory store, only the count is kept
+function summarizeDealerResult(result) {
+  const { vehicles, ...summary } = result;
+  return { ...summary, count: vehicles.length };
+}
+
+// One scrape at a time, in the order requested; finished jobs stay inspectable
+const scrapeJobs = createJobQueue(async (job, signal) => {
+  const { results, ...summary } = await scrapeAllDealers({
+    ...job.params,
+    jobId: job.id,
+    signal,
+    onStart: ({ runId, total }) => {
+      job.runId = runId;
+      job.progress.total = total;
+    },
+    onDealerStart: dealer => {
+      job.progress.current.push(dealer.name);
+    },
+    onDealerResult: result => {
+      job.progress.current = job.progress.current.filter(name => name !== result.dealer);
+      job.progress.done++;
+      job.results.push(summarizeDealerResult(result));
+    }
+  });
+  return summary;
+});
+
+// Validates the selection and queues the scrape. The dealer list is resolved again when the
+// job starts, so it reflects the history at that point; an empty selection is rejected up front.
+async function enqueueScrape(body) {
+  const selection = parseDealerSelection(body || {});
+  const matched = await resolveDealerSelection(selection);
+  if (matched.length === 0) {
+    const error = new Error('No dealers match the selection');
+    error.status = 400;
+    throw error;
   }
+  return { job: scrapeJobs.enqueue({ ...selection, trigger: 'manual' }), dealers: matched.length };
 }
 
-// Load CSV on startup
-loadCSV();
+// Recurring jobs from store/schedules.json; handlers return a short summary kept on the job
+const scheduler = createScheduler({
+  handlers: {
+    scrape: async job => {
+      const queued = scrapeJobs.enqueue({ ...job.options, trigger: `schedule:${job.id}` });
+      const finished = await scrapeJobs.wait(queued.id);
+      if (finished.status === 'failed') throw new Error(finished.error);
+      const summary = finished.summary || {};
+      return { jobId: finished.id, status: finished.status, runId: summary.runId, successCount: summary.successCount, failCount: summary.failCount, totalVehicles: summary.totalVehicles };
+    },
+    'validate-urls': async job => {
+      const report = await runUrlValidation(job.options);
+      return { total: report.total, counts: report.counts };
+    }
+  }
+});
+
+// Load CSV on startup (centroids first so dealers can be geocoded), then start the schedules
+loadFSACentroids().then(loadCSV).then(() => {
+  if (process.env.DISABLE_SCHEDULER !== 'true') {
+    return scheduler.start();
+  }
+}).catch(error => console.error('❌ Startup failed:', error));
+migrateStockCSV();
 
 // API Routes
 app.post('/search', (req, res) => {
-  const {brand} = req.body;
-  const results = dealersDatabase.filter(d => 
+  const {brand, postalCode, radius} = req.body;
+  const byBrand = dealersDatabase.filter(d => 
     d.brand.toLowerCase().includes((brand || '').toLowerCase())
   );
-  res.json(results);
+  
+  if (!postalCode) {
+    return res.json(byBrand);
+  }
+  
+  const radiusKm = radius === undefined || radius === '' ? null : Number(radius);
+  if (radiusKm !== null && (isNaN(radiusKm) || radiusKm <= 0)) {
+    return res.status(400).json({ error: 'Radius must be a positive number of km' });
+  }
+  
+  try {
+    const { results } = searchByPostalCode(byBrand, postalCode, radiusKm);
+    res.json(results);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Kept for the existing UI and scripts: queues a job like POST /scrape/jobs
+app.post('/scrape/start', async (req, res) => {
+  try {
+    const { job, dealers } = await enqueueScrape(req.body);
+    res.json({ message: job.status === 'queued' ? 'Scrape queued' : 'Scraping started', inProgress: true, jobId: job.id, position: job.position, dealers });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/scrape/status', (req, res) => {
+  const current = scrapeJobs.current();
+  const latest = scrapeJobs.latest();
+  const lastResults = latest ? latest.results : [];
+  
+  const platforms = {};
+  for (const result of lastResults) {
+    const platform = result.platform || 'unknown';
+    platforms[platform] = (platforms[platform] || 0) + 1;
+  }
+  
+  res.json({
+    inProgress: Boolean(current),
+    currentJob: current && { id: current.id, status: current.status, progress: current.progress },
+    queued: scrapeJobs.list().filter(job => job.status === 'queued').length,
+    lastJobId: latest ? latest.id : null,
+    lastResults: lastResults,
+    platforms: platforms,
+    totalDealers: dealersDatabase.length
+  });
+});
+
+// Which dealers a selection would scrape right now (same query fields as the POST body)
+app.get('/scrape/preview', async (req, res) => {
+  try {
+    const dealers = await resolveDealerSelection(parseDealerSelection(req.query));
+    res.json({ count: dealers.length, dealers: dealers.map(({ id, name, brand, city }) => ({ id, name, brand, city })) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Live progress as Server-Sent Events (event types: SCRAPE_EVENT_TYPES)
+app.get('/scrape/events', (req, res) => {
+  streamEvents(req, res);
+});
+
+app.post('/scrape/jobs', async (req, res) => {
+  try {
+    const { job, dealers } = await enqueueScrape(req.body);
+    res.status(202).json({ ...job, dealers });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Without results; GET /scrape/jobs/:id has the per-dealer detail
+app.get('/scrape/jobs', (req, res) => {
+  res.json({ jobs: scrapeJobs.list().map(({ results, ...job }) => job) });
+});
+
+app.get('/scrape/jobs/:id', (req, res) => {
+  try {
+    res.json(scrapeJobs.get(req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/scrape/jobs/:id', (req, res) => {
+  try {
+    res.json(scrapeJobs.cancel(req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/stock', async (req, res) => {
+  try {
+    const listings = await inventoryStore.getLatestSnapshot();
+    
+    if (listings.vehicles.length === 0) {
+      return res.status(404).json({ error: 'No stock data available yet' });
+    }
+    
+    // One record per unit across sister stores; ?dedupe=false lists every dealer's listing
+    const snapshot = req.query.dedupe === 'false' ? listings : dedupeSnapshot(listings);
+    
+    // Runs from before used/certified scraping only covered new inventory
+    const conditionCounts = {};
+    snapshot.vehicles.forEach(vehicle => {
+      const condition = vehicle.condition || 'new';
+      conditionCounts[condition] = (conditionCounts[condition] || 0) + 1;
+    });
+    
+    const result = queryStock(snapshot, req.query);
+    
+    res.json({
+      totalVehicles: result.matched,
+      totalDealers: result.dealers,
+      snapshotVehicles: snapshot.vehicles.length,
+      duplicateListings: snapshot.dedupe ? snapshot.dedupe.merged : 0,
+      conditionCounts,
+      offset: result.offset,
+      limit: result.limit,
+      count: result.vehicles.length,
+      nextCursor: result.nextCursor,
+      vehicles: result.vehicles,
+      lastUpdated: snapshot.lastUpdated
+    });
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/stock/changes', async (req, res) => {
+  try {
+    const since = parseSince(req.query.since);
+    if (!since) {
+      return res.status(400).json({ error: 'Invalid since: use an ISO date or a window like 24h or 7d' });
+    }
+    
+    let changes = await inventoryStore.listChanges(since);
+    if (req.query.type) {
+      const types = String(req.query.type).split(',');
+      changes = changes.filter(change => types.includes(change.type));
+    }
+    if (req.query.dealer) {
+      const dealer = String(req.query.dealer).toLowerCase();
+      changes = changes.filter(change => change.dealer.toLowerCase().includes(dealer));
+    }
+    
+    const counts = { added: 0, removed: 0, price_changed: 0 };
+    changes.forEach(change => counts[change.type]++);
+    
+    res.json({
+      since: since.toISOString(),
+      total: changes.length,
+      counts,
+      changes
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/stock/runs', async (req, res) => {
+  try {
+    const runs = await inventoryStore.listRuns();
+    res.json({
+      totalRuns: runs.length,
+      runs: runs.map(({ dealers, ...run }) => ({
+        ...run,
+        dealersScraped: dealers.length,
+        dealersSucceeded: dealers.filter(result => result.status === 'success').length
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/stock/runs/:runId', async (req, res) => {
+  try {
+    const run = await inventoryStore.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    
+    const vehicles = await inventoryStore.getRunVehicles(run.id);
+    res.json({ ...run, vehicles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dealer export filters: the stock-search parameters that apply to dealers,
+// plus postalCode/radius like /search
+function filterDealers(query) {
+  const brands = query.brand ? String(query.brand).toLowerCase().split(',') : null;
+  const city = String(query.city || '').toLowerCase();
+  const name = String(query.dealer || '').toLowerCase();
+  const tokens = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  
+  const dealers = dealersDatabase.filter(dealer => {
+    const text = [dealer.brand, dealer.name, dealer.address, dealer.city].join(' ').toLowerCase();
+    return (!brands || brands.includes(dealer.brand.toLowerCase())) &&
+      (!city || dealer.city.toLowerCase().includes(city)) &&
+      (!name || dealer.name.toLowerCase().includes(name)) &&
+      tokens.every(token => text.includes(token));
+  });
+  
+  if (!query.postalCode) return dealers;
+  
+  const radiusKm = query.radius ? Number(query.radius) : null;
+  if (radiusKm !== null && (isNaN(radiusKm) || radiusKm <= 0)) {
+    throw Object.assign(new Error('Radius must be a positive number of km'), { status: 400 });
+  }
+  try {
+    return searchByPostalCode(dealers, query.postalCode, radiusKm).results;
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+}
+
+// GET /export?source=stock|dealers&format=csv|json|ndjson|xlsx|geojson plus the /stock filters
+app.get('/export', async (req, res) => {
+  try {
+    const source = req.query.source || 'stock';
+    const format = String(req.query.format || 'csv').toLowerCase();
+    
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unknown format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+    }
+    
+    let rows;
+    let options;
+    
+    if (source === 'dealers') {
+      rows = filterDealers(req.query);
+      options = {
+        sheetName: 'Dealers',
+        columns: req.query.postalCode
+          ? [...DEALER_COLUMNS, { header: 'Distance (km)', field: 'distanceKm', numeric: true }]
+          : DEALER_COLUMNS
+      };
+    } else if (source === 'stock') {
+      const listings = await inventoryStore.getLatestSnapshot();
+      rows = filterStock(req.query.dedupe === 'false' ? listings : dedupeSnapshot(listings), req.query);
+      
+      // Vehicles are placed at their dealer's location
+      const dealersById = new Map(dealersDatabase.map(dealer => [dealer.id, dealer]));
+      const dealersByName = new Map(dealersDatabase.map(dealer => [dealer.name, dealer]));
+      options = {
+        sheetName: 'Stock',
+        columns: STOCK_COLUMNS,
+        locate: vehicle => dealersById.get(vehicle.dealerId) || dealersByName.get(vehicle.dealer)
+      };
+    } else {
+      return res.status(400).json({ error: `Unknown source: ${source} (use stock or dealers)` });
+    }
+    
+    const body = await renderExport(format, rows, options);
+    const filename = `${source}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+    
+    console.log(`📤 Exporting ${rows.length} ${source} rows as ${format}`);
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('X-Total-Count', String(rows.length));
+    res.send(body);
+    
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Runs the URL validator in the background of the server; resolves to the report
+function runUrlValidation({ ids, dryRun } = {}) {
+  if (urlValidation.inProgress) {
+    const error = new Error('URL validation already in progress');
+    error.status = 409;
+    return Promise.reject(error);
+  }
+  
+  urlValidation = { inProgress: true, done: 0, total: 0, startedAt: new Date().toISOString() };
+  
+  return validateDealerUrls({
+    ids: Array.isArray(ids) && ids.length > 0 ? ids : undefined,
+    dryRun: Boolean(dryRun),
+    onProgress: (done, total) => {
+      urlValidation.done = done;
+      urlValidation.total = total;
+    }
+  })
+    .then(async report => {
+      if (!report.dryRun) await loadCSV();
+      console.log(`✅ URL validation completed: ${report.dead.length} dead, ${report.rewritten.length} rewritten`);
+      return report;
+    })
+    .catch(error => {
+      console.error('❌ URL validation failed:', error);
+      urlValidation.error = error.message;
+      throw error;
+    })
+    .finally(() => {
+      urlValidation.inProgress = false;
+    });
+}
+
+app.post('/validate-urls/start', (req, res) => {
+  if (urlValidation.inProgress) {
+    return res.status(409).json({ error: 'URL validation already in progress' });
+  }
+  
+  runUrlValidation(req.body || {}).catch(() => {});
+  res.json({ message: 'URL validation started', inProgress: true });
+});
+
+app.get('/validate-urls/status', async (req, res) => {
+  try {
+    const report = await loadReport();
+    res.json({ ...urlValidation, lastReport: report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/schedules', (req, res) => {
+  res.json({ enabled: process.env.DISABLE_SCHEDULER !== 'true', schedules: scheduler.list() });
+});
+
+function handleScheduleAction(action) {
+  return async (req, res) => {
+    try {
+      res.json(await scheduler[action](req.params.id));
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+}
+
+app.post('/schedules/:id/pause', handleScheduleAction('pause'));
+app.post('/schedules/:id/resume', handleScheduleAction('resume'));
+app.post('/schedules/:id/run', handleScheduleAction('trigger'));
+
+// Dealer management: every write goes to the dealer CSV and reloads dealersDatabase
+function sendDealerError(res, error) {
+  if (!error.status) console.error('❌ Dealer update failed:', error);
+  res.status(error.status || 500).json({ error: error.message, details: error.details });
+}
+
+app.get('/dealers', (req, res) => {
+  try {
+    const dealers = filterDealers(req.query);
+    res.json({ total: dealers.length, dealers });
+  } catch (error) {
+    sendDealerError(res, error);
+  }
+});
+
+app.get('/dealers/:id', (req, res) => {
+  const dealer = dealersDatabase.find(d => d.id === req.params.id);
+  if (!dealer) {
+    return res.status(404).json({ error: `Dealer not found: ${req.params.id}` });
+  }
+  res.json(dealer);
+});
+
+app.post('/dealers', async (req, res) => {
+  try {
+    const dealer = await createDealer(req.body || {});
+    await loadCSV();
+    console.log(`➕ Added dealer ${dealer.name} (${dealer.id})`);
+    res.status(201).json(dealersDatabase.find(d => d.id === dealer.id) || dealer);
+  } catch (error) {
+    sendDealerError(res, error);
+  }
+});
+
+async function handleDealerUpdate(req, res, replace) {
+  try {
+    const dealer = await updateDealer(req.params.id, req.body || {}, { replace });
+    await loadCSV();
+    console.log(`✏️ Updated dealer ${dealer.name} (${dealer.id})`);
+    res.json(dealersDatabase.find(d => d.id === dealer.id) || dealer);
+  } catch (error) {
+    sendDealerError(res, error);
+  }
+}
+
+app.put('/dealers/:id', (req, res) => handleDealerUpdate(req, res, true));
+app.patch('/dealers/:id', (req, res) => handleDealerUpdate(req, res, false));
+
+app.delete('/dealers/:id', async (req, res) => {
+  try {
+    const dealer = await deleteDealer(req.params.id);
+    await loadCSV();
+    console.log(`🗑️ Deleted dealer ${dealer.name} (${dealer.id})`);
+    res.json({ deleted: dealer });
+  } catch (error) {
+    sendDealerError(res, error);
+  }
+});
+
+// Inventory page cache: the pages discovery found for each dealer, and hand-verified pins
+function findDealerById(id) {
+  const dealer = dealersDatabase.find(d => d.id === id);
+  if (!dealer) {
+    const error = new Error(`Dealer not found: ${id}`);
+    error.status = 404;
+    throw error;
+  }
+  return dealer;
+}
+
+function inventoryPagesView(dealer, entry) {
+  return entry || { dealerId: dealer.id, dealer: dealer.name, website: dealer.website, platform: null, pages: [], pinned: [] };
+}
+
+app.get('/inventory-pages', async (req, res) => {
+  try {
+    const entries = await inventoryPageCache.listInventoryPages();
+    res.json({ total: entries.length, dealers: entries });
+  } catch (error) {
+    sendDealerError(res, error);
+  }
+});
+
+app.get('/dealers/:id/inventory-pages', async (req, res) => {
+  try {
+    const dealer = findDealerById(req.params.id);
+    res.json(inventoryPagesView(dealer, await inventoryPageCache.getInventoryPages(dealer)));
+  } catch (error) {
+    sendDealerError(res, error);
+  }
+});
+
+// Body: { url, condition } (condition defaults to new). Discovery never overwrites a pin.
+app.put('/dealers/:id/inventory-pages/pin', async (req, res) => {
+  try {
+    const dealer = findDealerById(req.params.id);
+    const entry = await inventoryPageCache.pinInventoryPage(dealer, req.body || {});
+    console.log(`📌 Pinned ${(req.body || {}).condition || 'new'} inventory page for ${dealer.name}`);
+    res.json(entry);
+  } catch (error) {
+    sendDealerError(res, error);
+  }
 });
 
-app.post('/scrape/start', async (req, res) => {
+// ?condition=used removes one pin; without it every pin for the dealer is removed
+app.delete('/dealers/:id/inventory-pages/pin', async (req, res) => {
   try {
-    const { maxDealers } = req.body;
-    
-    if (scrapingInProgress) {
-      return res.status(400).json({ error: 'Scraping already in progress' });
-    }
-    
-    scrapeAllDealers(maxDealers)
-      .then(summary => {
-        console.log('✅ Manual scrape completed');
-      })
-      .catch(error => {
-        console.error('❌ Manual scrape failed:', error);
-      });
-    
-    res.json({ message: 'Scraping started', inProgress: true });
-    
+    const dealer = findDealerById(req.params.id);
+    res.json(await inventoryPageCache.unpinInventoryPage(dealer, req.query.condition));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendDealerError(res, error);
   }
 });
 
-app.get('/scrape/status', (req, res) => {
-  res.json({
-    inProgress: scrapingInProgress,
-    lastResults: lastScrapeResults,
-    totalDealers: dealersDatabase.length
-  });
+// Forgets the discovered pages so the next scrape crawls the dealer's homepage again
+app.delete('/dealers/:id/inventory-pages', async (req, res) => {
+  try {
+    const dealer = findDealerById(req.params.id);
+    res.json(inventoryPagesView(dealer, await inventoryPageCache.clearDiscoveredPages(dealer)));
+  } catch (error) {
+    sendDealerError(res, error);
+  }
 });
 
-app.get('/stock', async (req, res) => {
+// Model and trim text the catalog couldn't place, most frequent first. ?kind=make|model|trim&limit=
+app.get('/catalog/unmatched', async (req, res) => {
   try {
-    const stockPath = path.join(__dirname, 'stock.csv');
-    const exists = await fs.access(stockPath).then(() => true).catch(() => false);
-    
-    if (!exists) {
-      return res.status(404).json({ error: 'No stock data available yet' });
-    }
-    
-    const content = await fs.readFile(stockPath, 'utf8');
-    const lines = content.split('\n').filter(line => line.trim());
-    const vehicles = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-      const values = parseCSVLine(lines[i]);
-      if (values.length >= 11) {
-        vehicles.push({
-          dealer: values[0],
-          brand: values[1],
-          city: values[2],
-          make: values[3],
-          model: values[4],
-          year: values[5],
-          trim: values[6],
-          price: values[7],
-          stock: values[8],
-          scrapedAt: values[9],
-          sourceUrl: values[10]
-        });
-      }
+    const kind = req.query.kind || '';
+    if (kind && !['make', 'model', 'trim'].includes(kind)) {
+      return res.status(400).json({ error: 'kind must be one of: make, model, trim' });
     }
-    
-    res.json({
-      totalVehicles: vehicles.length,
-      vehicles: vehicles,
-      lastUpdated: vehicles[0]?.scrapedAt
-    });
-    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    res.json(await vehicleNormalizer.listUnmatched({ kind, limit }));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Tries the catalog on a title without scraping: ?title=Rav 4 XLE Hybrid&brand=Toyota
+app.get('/catalog/normalize', (req, res) => {
+  const { title = '', make = '', model = '', trim = '', brand = '' } = req.query;
+  if (!title && !make && !model && !trim) {
+    return res.status(400).json({ error: 'title, or make/model/trim, is required' });
   }
+  res.json(vehicleNormalizer.normalizeVehicle(title ? { model: title } : { make, model, trim }, brand));
 });
 
 // Simple HTML interface
@@ -790,9 +1866,43 @@ app.get('/', (req, res) => {
           text-transform: uppercase;
           letter-spacing: 0.5px;
         }
+        .change-item {
+          padding: 10px 12px;
+          margin: 6px 0;
+          background: #f8f9fa;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+        .change-added { border-left: 4px solid #28a745; }
+        .change-removed { border-left: 4px solid #dc3545; }
+        .change-price_changed { border-left: 4px solid #ffc107; }
         .success-color { color: #28a745; }
         .error-color { color: #dc3545; }
         .info-color { color: #17a2b8; }
+        .progress-bar {
+          height: 18px;
+          background: #e9ecef;
+          border-radius: 9px;
+          overflow: hidden;
+          margin: 15px 0;
+        }
+        .progress-fill {
+          height: 100%;
+          width: 0;
+          background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          transition: width 0.3s ease;
+        }
+        .scrape-log {
+          max-height: 250px;
+          overflow-y: auto;
+          background: #f8f9fa;
+          border-radius: 8px;
+          padding: 10px 12px;
+          font-family: monospace;
+          font-size: 13px;
+        }
+        .scrape-log .log-failed { color: #dc3545; }
+        .scrape-log .log-success { color: #28a745; }
       </style>
     </head>
     <body>
@@ -811,6 +1921,16 @@ app.get('/', (req, res) => {
               ${brands.map(b => '<option value="' + b + '">').join('')}
             </datalist>
             
+            <input id="postalCode" placeholder="Postal code (e.g. M5V 2T6)" 
+                   class="search-input" style="width: 200px;" onkeypress="handleEnter(event)">
+            <select id="radius" class="search-input" style="width: 120px;">
+              <option value="10">10 km</option>
+              <option value="25" selected>25 km</option>
+              <option value="50">50 km</option>
+              <option value="100">100 km</option>
+              <option value="">Any distance</option>
+            </select>
+            
             <button onclick="search()" class="btn">🔍 Search</button>
           </div>
           
@@ -832,9 +1952,138 @@ app.get('/', (req, res) => {
             <button class="btn scrape-btn" onclick="startScraping()" id="fullBtn">🚀 Full Scrape (All Dealers)</button>
             <button class="btn" onclick="checkStatus()">📊 Check Status</button>
             <button class="btn" onclick="viewStock()">📋 View Stock (640 vehicles)</button>
+            <button class="btn" onclick="validateUrls()" id="validateBtn">🔗 Validate Dealer URLs</button>
+          </div>
+          
+          <div id="urlValidationStatus"></div>
+          
+          <div style="margin: 20px 0;">
+            <strong>🎯 Targeted scrape:</strong><br>
+            <input type="text" id="scrapeBrands" placeholder="Brands (e.g. Honda, Kia)" class="search-input" style="width: 200px;">
+            <input type="text" id="scrapeCities" placeholder="Cities (e.g. Markham, Vaughan)" class="search-input" style="width: 200px;">
+            <input type="text" id="scrapeDealers" placeholder="Dealer names or IDs" class="search-input" style="width: 200px;"><br>
+            <input type="number" id="scrapeStaleHours" placeholder="Not scraped in (hours)" class="search-input" style="width: 200px;">
+            <label style="margin-right: 10px;"><input type="checkbox" id="scrapeOnlyFailed"> Only dealers that failed last time</label>
+            <button class="btn" onclick="previewSelection()">👀 Preview</button>
+            <button class="btn scrape-btn" onclick="startScraping(null, scrapeSelection())">🎯 Scrape Selection</button>
+            <div id="selectionPreview"></div>
+          </div>
+          
+          <div style="margin: 20px 0;">
+            <strong>Stock filters:</strong><br>
+            <input type="text" id="stockQuery" placeholder="Search (e.g. RAV4 XLE)" class="search-input" style="width: 200px;" onkeypress="if (event.key === 'Enter') viewStock()">
+            <input type="text" id="stockMake" placeholder="Make" class="search-input" style="width: 120px;">
+            <input type="text" id="stockModel" placeholder="Model" class="search-input" style="width: 120px;">
+            <input type="text" id="stockCity" placeholder="City" class="search-input" style="width: 120px;">
+            <select id="stockCondition" class="search-input" style="width: 200px;">
+              <option value="">All conditions</option>
+              <option value="new">New</option>
+              <option value="used">Used</option>
+              <option value="certified">Certified Pre-Owned</option>
+            </select><br>
+            <input type="number" id="stockYearMin" placeholder="Year from" class="search-input" style="width: 120px;">
+            <input type="number" id="stockYearMax" placeholder="Year to" class="search-input" style="width: 120px;">
+            <input type="number" id="stockPriceMin" placeholder="Min price" class="search-input" style="width: 120px;">
+            <input type="number" id="stockPriceMax" placeholder="Max price" class="search-input" style="width: 120px;">
+            <select id="stockSort" class="search-input" style="width: 200px;">
+              <option value="">Sort: by dealer</option>
+              <option value="price">Price: low to high</option>
+              <option value="-price">Price: high to low</option>
+              <option value="payment">Payment: low to high</option>
+              <option value="-year">Year: newest first</option>
+              <option value="odometer">Odometer: lowest first</option>
+              <option value="-scrapedAt">Recently scraped</option>
+            </select>
+            <button class="btn" onclick="viewStock()">🔍 Filter Stock</button>
+            <div style="margin-top: 10px;">
+              <strong>📤 Export:</strong>
+              <button class="btn" onclick="exportData('stock', 'csv')">Stock CSV</button>
+              <button class="btn" onclick="exportData('stock', 'xlsx')">Stock Excel</button>
+              <button class="btn" onclick="exportData('stock', 'json')">Stock JSON</button>
+              <button class="btn" onclick="exportData('dealers', 'csv')">Dealers CSV</button>
+              <button class="btn" onclick="exportData('dealers', 'xlsx')">Dealers Excel</button>
+              <button class="btn" onclick="exportData('dealers', 'geojson')">Dealers Map (GeoJSON)</button>
+            </div>
           </div>
           
           <div id="scrapeStatus"></div>
+          <div id="scrapeProgress" style="display: none;">
+            <div class="progress-bar"><div class="progress-fill" id="scrapeProgressFill"></div></div>
+            <div id="scrapeCounts" class="stats-grid"></div>
+            <div id="scrapeLog" class="scrape-log"></div>
+          </div>
+        </div>
+        
+        <div class="section">
+          <h2>🆕 What's New</h2>
+          <div style="margin-bottom: 15px;">
+            <select id="changesSince" class="search-input" style="width: 200px;" onchange="loadChanges()">
+              <option value="24h" selected>Last 24 hours</option>
+              <option value="7d">Last 7 days</option>
+              <option value="30d">Last 30 days</option>
+            </select>
+            <button class="btn" onclick="loadChanges()">🔄 Refresh</button>
+          </div>
+          <div id="changesPanel"></div>
+        </div>
+        
+        <div class="section">
+          <h2>⏰ Schedules</h2>
+          <p>Recurring jobs run inside the server (cron times are server local time). Edit <code>store/schedules.json</code> to change them.</p>
+          <button class="btn" onclick="loadSchedules()">🔄 Refresh</button>
+          <div id="schedulesPanel"></div>
+        </div>
+        
+        <div class="section">
+          <h2>📚 Catalog Gaps</h2>
+          <p>Makes, models and trims seen in listings that <code>Data/vehicle_catalog.json</code> doesn't know yet, most frequent first.</p>
+          <div style="margin-bottom: 15px;">
+            <select id="unmatchedKind" class="search-input" style="width: 200px;" onchange="loadUnmatched()">
+              <option value="">All</option>
+              <option value="make">Makes</option>
+              <option value="model">Models</option>
+              <option value="trim">Trims</option>
+            </select>
+            <button class="btn" onclick="loadUnmatched()">🔄 Refresh</button>
+          </div>
+          <div id="unmatchedPanel"></div>
+        </div>
+        
+        <div class="section">
+          <h2>🛠️ Manage Dealers</h2>
+          <p>Add a dealer, or use ✏️ Edit on a search result to change one. Changes are saved to the dealer CSV immediately.</p>
+          <input type="hidden" id="dealerId">
+          <div style="margin-bottom: 10px;">
+            <input type="text" id="dealerBrand" placeholder="Brand (e.g. Toyota)" class="search-input" style="width: 200px;">
+            <input type="text" id="dealerName" placeholder="Dealer name" class="search-input">
+            <input type="text" id="dealerCity" placeholder="City" class="search-input" style="width: 200px;">
+          </div>
+          <div style="margin-bottom: 10px;">
+            <input type="text" id="dealerAddress" placeholder="Address with postal code (e.g. 751 Queen St E, Toronto, ON M4M 1H1)" class="search-input" style="width: 520px;">
+          </div>
+          <div style="margin-bottom: 10px;">
+            <input type="text" id="dealerPhone" placeholder="Phone (e.g. 416-555-1234)" class="search-input" style="width: 200px;">
+            <input type="text" id="dealerWebsite" placeholder="Website (https://...)" class="search-input">
+          </div>
+          <button class="btn" onclick="saveDealer()" id="saveDealerBtn">➕ Add Dealer</button>
+          <button class="btn" onclick="clearDealerForm()">✖️ Clear</button>
+          <div id="dealerFormStatus"></div>
+          <div id="inventoryPagesForm" style="display: none; margin-top: 15px;">
+            <h3>📌 Inventory Pages</h3>
+            <p>Scrapes reuse the pages found last time and only look again when one stops working. Pin a hand-verified URL to stop discovery from replacing it.</p>
+            <div style="margin-bottom: 10px;">
+              <select id="pinCondition" class="search-input" style="width: 140px;">
+                <option value="new">New</option>
+                <option value="used">Used</option>
+                <option value="certified">Certified</option>
+              </select>
+              <input type="text" id="pinUrl" placeholder="Inventory URL (https://...)" class="search-input" style="width: 420px;">
+              <button class="btn" onclick="pinInventoryPage()">📌 Pin</button>
+              <button class="btn" onclick="unpinInventoryPage()">Unpin</button>
+              <button class="btn" onclick="rediscoverInventoryPages()">🔄 Re-discover</button>
+            </div>
+            <div id="inventoryPagesPanel"></div>
+          </div>
         </div>
         
         <div id="results" class="section"></div>
@@ -848,6 +2097,10 @@ app.get('/', (req, res) => {
           loadSearchHistory();
           displaySearchHistory();
           checkStatus();
+          loadChanges();
+          checkUrlValidation();
+          loadSchedules();
+          connectScrapeEvents();
         };
         
         function loadSearchHistory() {
@@ -919,26 +2172,41 @@ app.get('/', (req, res) => {
         
         function search() {
           const brand = document.getElementById('brand').value;
-          if (!brand) return;
+          const postalCode = document.getElementById('postalCode').value.trim();
+          const radius = document.getElementById('radius').value;
+          if (!brand && !postalCode) return;
           
           addToHistory(brand);
           
           fetch('/search', {
             method: 'POST',
             headers: {'Content-Type': 'application/json'},
-            body: JSON.stringify({brand: brand})
+            body: JSON.stringify({brand: brand, postalCode: postalCode, radius: postalCode ? radius : undefined})
           })
           .then(r => r.json())
           .then(dealers => {
+            if (dealers.error) {
+              document.getElementById('results').innerHTML = '<div class="status error">❌ ' + dealers.error + '</div>';
+              return;
+            }
+            
+            let header = '✅ Found ' + dealers.length + ' ' + (brand || '') + ' dealers';
+            if (postalCode) {
+              header += radius ? ' within ' + radius + ' km of ' + postalCode.toUpperCase() : ' near ' + postalCode.toUpperCase();
+            }
+            
             const resultsHTML = 
-              '<h3 class="results-header">✅ Found ' + dealers.length + ' ' + brand + ' dealers</h3>' +
+              '<h3 class="results-header">' + header + '</h3>' +
               dealers.map(d => 
                 '<div class="dealer-card">' +
-                  '<h4>' + d.name + '</h4>' +
+                  '<h4>' + d.name + (d.distanceKm !== undefined ? ' — ' + d.distanceKm + ' km' : '') + '</h4>' +
                   '<p><strong>📍 Address:</strong> ' + d.address + '</p>' +
                   '<p><strong>🏙️ City:</strong> ' + d.city + '</p>' +
                   '<p><strong>📞 Phone:</strong> ' + d.phone + '</p>' +
                   '<p><strong>🌐 Website:</strong> <a href="' + d.website + '" target="_blank" rel="noopener">' + d.website + '</a></p>' +
+                  '<button class="btn scrape-btn" onclick="scrapeDealerNow(\\'' + d.id + '\\')">🚗 Scrape This Dealer</button> ' +
+                  '<button class="btn" onclick="editDealer(\\'' + d.id + '\\')">✏️ Edit</button> ' +
+                  '<button class="btn" onclick="removeDealer(\\'' + d.id + '\\')">🗑️ Delete</button>' +
                 '</div>'
               ).join('');
             
@@ -954,12 +2222,189 @@ app.get('/', (req, res) => {
           });
         }
         
+        const DEALER_FORM_FIELDS = { brand: 'dealerBrand', name: 'dealerName', address: 'dealerAddress', city: 'dealerCity', phone: 'dealerPhone', website: 'dealerWebsite' };
+        // Form values when editing started; only fields that differ are sent, so a dealer
+        // with no address on file can still have its phone or website fixed
+        let editingDealer = null;
+        
+        function showDealerStatus(type, message) {
+          document.getElementById('dealerFormStatus').innerHTML = '<div class="status ' + type + '">' + message + '</div>';
+        }
+        
+        function clearDealerForm() {
+          document.getElementById('dealerId').value = '';
+          editingDealer = null;
+          Object.values(DEALER_FORM_FIELDS).forEach(id => document.getElementById(id).value = '');
+          document.getElementById('saveDealerBtn').textContent = '➕ Add Dealer';
+          document.getElementById('dealerFormStatus').innerHTML = '';
+          document.getElementById('inventoryPagesForm').style.display = 'none';
+        }
+        
+        function editDealer(id) {
+          fetch('/dealers/' + encodeURIComponent(id))
+            .then(r => r.json())
+            .then(dealer => {
+              if (dealer.error) return showDealerStatus('error', '❌ ' + dealer.error);
+              document.getElementById('dealerId').value = dealer.id;
+              editingDealer = {};
+              Object.entries(DEALER_FORM_FIELDS).forEach(([field, inputId]) => {
+                document.getElementById(inputId).value = dealer[field] || '';
+                editingDealer[field] = (dealer[field] || '').trim();
+              });
+              document.getElementById('saveDealerBtn').textContent = '💾 Save Changes';
+              showDealerStatus('info', '✏️ Editing ' + dealer.name + ' (' + dealer.id + ')');
+              document.getElementById('inventoryPagesForm').style.display = 'block';
+              loadInventoryPages();
+              document.getElementById('dealerBrand').scrollIntoView({ behavior: 'smooth' });
+            });
+        }
+        
+        function inventoryPagesUrl(suffix) {
+          return '/dealers/' + encodeURIComponent(document.getElementById('dealerId').value) + '/inventory-pages' + (suffix || '');
+        }
+        
+        function renderInventoryPages(entry) {
+          if (entry.error) {
+            document.getElementById('inventoryPagesPanel').innerHTML = '<div class="status error">❌ ' + entry.error + '</div>';
+            return;
+          }
+          const pinnedConditions = entry.pinned.map(pin => pin.condition);
+          let html = '';
+          entry.pinned.forEach(pin => {
+            html += '<div class="dealer-card">';
+            html += '<h4>📌 ' + pin.condition + ' (pinned)</h4>';
+            html += '<p><a href="' + pin.url + '" target="_blank" rel="noopener">' + pin.url + '</a></p>';
+            html += '<p><strong>Pinned:</strong> ' + new Date(pin.pinnedAt).toLocaleString() + '</p>';
+            html += '</div>';
+          });
+          entry.pages.forEach(page => {
+            html += '<div class="dealer-card"' + (pinnedConditions.includes(page.condition) ? ' style="opacity: 0.5;"' : '') + '>';
+            html += '<h4>' + page.condition + ' (' + page.source + ')</h4>';
+            html += '<p><a href="' + page.url + '" target="_blank" rel="noopener">' + page.url + '</a></p>';
+            html += '<p><strong>Confidence:</strong> ' + page.confidence + ' — matched <code>' + page.pattern + '</code></p>';
+            html += '<p><strong>Found:</strong> ' + new Date(page.discoveredAt).toLocaleString() +
+              ' — <strong>last worked:</strong> ' + new Date(page.verifiedAt).toLocaleString() + '</p>';
+            html += '</div>';
+          });
+          
+          document.getElementById('inventoryPagesPanel').innerHTML = html ||
+            '<p>Nothing cached yet: the next scrape will look for inventory pages on the homepage.</p>';
+        }
+        
+        function loadInventoryPages() {
+          fetch(inventoryPagesUrl()).then(r => r.json()).then(renderInventoryPages);
+        }
+        
+        function pinInventoryPage() {
+          fetch(inventoryPagesUrl('/pin'), {
+            method: 'PUT',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify({
+              url: document.getElementById('pinUrl').value.trim(),
+              condition: document.getElementById('pinCondition').value
+            })
+          })
+          .then(r => r.json())
+          .then(entry => {
+            if (!entry.error) document.getElementById('pinUrl').value = '';
+            renderInventoryPages(entry);
+          });
+        }
+        
+        function unpinInventoryPage() {
+          fetch(inventoryPagesUrl('/pin?condition=' + document.getElementById('pinCondition').value), { method: 'DELETE' })
+            .then(r => r.json())
+            .then(renderInventoryPages);
+        }
+        
+        function rediscoverInventoryPages() {
+          fetch(inventoryPagesUrl(), { method: 'DELETE' })
+            .then(r => r.json())
+            .then(renderInventoryPages);
+        }
+        
+        function saveDealer() {
+          const id = document.getElementById('dealerId').value;
+          const dealer = {};
+          Object.entries(DEALER_FORM_FIELDS).forEach(([field, inputId]) => {
+            const value = document.getElementById(inputId).value.trim();
+            if (!id || !editingDealer || value !== editingDealer[field]) dealer[field] = value;
+          });
+          if (id && Object.keys(dealer).length === 0) {
+            return showDealerStatus('info', 'ℹ️ No changes to save');
+          }
+          
+          fetch(id ? '/dealers/' + encodeURIComponent(id) : '/dealers', {
+            method: id ? 'PATCH' : 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify(dealer)
+          })
+          .then(r => r.json())
+          .then(saved => {
+            if (saved.error) {
+              return showDealerStatus('error', '❌ ' + saved.error + (saved.details ? ': ' + saved.details.join('; ') : ''));
+            }
+            clearDealerForm();
+            showDealerStatus('success', '✅ Saved ' + saved.name + ' (' + saved.id + ')');
+          })
+          .catch(error => showDealerStatus('error', '❌ Save failed'));
+        }
+        
+        function removeDealer(id) {
+          if (!confirm('Delete dealer ' + id + ' from the dealer CSV?')) return;
+          
+          fetch('/dealers/' + encodeURIComponent(id), { method: 'DELETE' })
+            .then(r => r.json())
+            .then(result => {
+              if (result.error) return showDealerStatus('error', '❌ ' + result.error);
+              showDealerStatus('success', '🗑️ Deleted ' + result.deleted.name);
+              search();
+            });
+        }
+        
         function quickSearch(brand) {
           document.getElementById('brand').value = brand;
           search();
         }
         
-        function startScraping(maxDealers) {
+        // Targeted scrape fields; the dealer field matches IDs or names
+        function scrapeSelection() {
+          const list = id => document.getElementById(id).value.split(',').map(v => v.trim()).filter(Boolean);
+          const selection = {};
+          if (list('scrapeBrands').length > 0) selection.brands = list('scrapeBrands');
+          if (list('scrapeCities').length > 0) selection.cities = list('scrapeCities');
+          if (list('scrapeDealers').length > 0) {
+            selection.ids = list('scrapeDealers');
+            selection.names = list('scrapeDealers');
+          }
+          if (document.getElementById('scrapeStaleHours').value) selection.notScrapedWithinHours = document.getElementById('scrapeStaleHours').value;
+          if (document.getElementById('scrapeOnlyFailed').checked) selection.onlyFailed = true;
+          return selection;
+        }
+        
+        function previewSelection() {
+          const params = new URLSearchParams();
+          Object.entries(scrapeSelection()).forEach(([key, value]) => params.set(key, Array.isArray(value) ? value.join(',') : value));
+          
+          fetch('/scrape/preview?' + params.toString())
+            .then(r => r.json())
+            .then(data => {
+              const panel = document.getElementById('selectionPreview');
+              if (data.error) {
+                panel.innerHTML = '<div class="status error">❌ ' + data.error + '</div>';
+                return;
+              }
+              panel.innerHTML = '<div class="status ' + (data.count > 0 ? 'info' : 'warning') + '">🎯 ' + data.count + ' dealers selected' +
+                (data.count > 0 ? ': ' + data.dealers.slice(0, 20).map(d => d.name).join(', ') + (data.count > 20 ? ', ...' : '') : '') + '</div>';
+            });
+        }
+        
+        function scrapeDealerNow(id) {
+          startScraping(null, { ids: [id] });
+          document.getElementById('scrapeStatus').scrollIntoView({ behavior: 'smooth' });
+        }
+        
+        function startScraping(maxDealers, selection) {
           const testBtn = document.getElementById('testBtn');
           const smallBtn = document.getElementById('smallBtn');
           const fullBtn = document.getElementById('fullBtn');
@@ -974,12 +2419,22 @@ app.get('/', (req, res) => {
           fetch('/scrape/start', {
             method: 'POST',
             headers: {'Content-Type': 'application/json'},
-            body: JSON.stringify({maxDealers: maxDealers})
+            body: JSON.stringify(Object.assign({maxDealers: maxDealers}, selection || {}))
           })
           .then(r => r.json())
           .then(data => {
-            statusDiv.innerHTML = '<div class="status success">✅ Scraping started! Monitor progress below.</div>';
+            if (data.error) {
+              statusDiv.innerHTML = '<div class="status warning">⚠️ ' + data.error + '</div>';
+              testBtn.disabled = false;
+              smallBtn.disabled = false;
+              fullBtn.disabled = false;
+              return;
+            }
             
+            statusDiv.innerHTML = '<div class="status success">✅ ' + data.message + '! Monitor progress below.</div>';
+            
+            // With live events the buttons come back on run_finished
+            if (window.EventSource) return;
             const interval = setInterval(() => {
               checkStatus().then(status => {
                 if (!status.inProgress) {
@@ -1006,11 +2461,16 @@ app.get('/', (req, res) => {
               const statusDiv = document.getElementById('scrapeStatus');
               
               if (status.inProgress) {
-                statusDiv.innerHTML = '<div class="status info">🔄 Scraping in progress...</div>';
+                const job = status.currentJob;
+                const progress = job.progress.total ? ' ' + job.progress.done + '/' + job.progress.total + ' dealers' : '';
+                const current = job.progress.current.length > 0 ? ' — now: ' + job.progress.current.join(', ') : '';
+                statusDiv.innerHTML = '<div class="status info"><span class="loading"></span>' + (job.status === 'cancelling' ? 'Cancelling...' : 'Scraping in progress...') + progress + current +
+                  (status.queued > 0 ? ' (' + status.queued + ' more queued)' : '') + '</div>' +
+                  '<button class="btn" onclick="cancelScrape(\\'' + job.id + '\\')"' + (job.status === 'cancelling' ? ' disabled' : '') + '>🛑 Cancel Scrape</button>';
               } else if (status.lastResults && status.lastResults.length > 0) {
                 const results = status.lastResults;
                 const successCount = results.filter(r => r.status === 'success').length;
-                const totalVehicles = results.reduce((sum, r) => sum + (r.vehicles?.length || 0), 0);
+                const totalVehicles = results.reduce((sum, r) => sum + (r.count || 0), 0);
                 
                 let html = '<div class="stats-grid">';
                 html += '<div class="stat-card"><div class="stat-number success-color">' + successCount + '</div><div class="stat-label">Successful</div></div>';
@@ -1019,6 +2479,41 @@ app.get('/', (req, res) => {
                 html += '<div class="stat-card"><div class="stat-number">' + results.length + '</div><div class="stat-label">Total Dealers</div></div>';
                 html += '</div>';
                 
+                const platformSummary = Object.entries(status.platforms || {})
+                  .sort((a, b) => b[1] - a[1])
+                  .map(([platform, count]) => platform + ': ' + count)
+                  .join(', ');
+                if (platformSummary) {
+                  html += '<p><strong>🧩 Website platforms:</strong> ' + platformSummary + '</p>';
+                }
+                
+                const conditionTotals = {};
+                results.forEach(r => Object.entries(r.conditions || {}).forEach(([condition, count]) => {
+                  conditionTotals[condition] = (conditionTotals[condition] || 0) + count;
+                }));
+                const conditionSummary = Object.entries(conditionTotals)
+                  .map(([condition, count]) => condition + ': ' + count)
+                  .join(', ');
+                if (conditionSummary) {
+                  html += '<p><strong>🏷️ By condition:</strong> ' + conditionSummary + '</p>';
+                }
+                
+                const sourceTotals = {};
+                results.forEach(r => Object.values(r.inventoryPageSources || {}).forEach(source => {
+                  sourceTotals[source] = (sourceTotals[source] || 0) + 1;
+                }));
+                const sourceSummary = Object.entries(sourceTotals)
+                  .map(([source, count]) => source + ': ' + count)
+                  .join(', ');
+                if (sourceSummary) {
+                  html += '<p><strong>🔎 Inventory pages found via:</strong> ' + sourceSummary + '</p>';
+                }
+                
+                const blocked = results.filter(r => r.status === 'disallowed_by_robots');
+                if (blocked.length > 0) {
+                  html += '<p><strong>🤖 Not scraped, disallowed by robots.txt:</strong> ' + blocked.map(r => r.dealer).join(', ') + '</p>';
+                }
+                
                 html += '<div class="status success">✅ Last scrape completed! Data will be saved to a new CSV file.</div>';
                 
                 statusDiv.innerHTML = html;
@@ -1034,48 +2529,376 @@ app.get('/', (req, res) => {
             });
         }
         
-        function viewStock() {
-          fetch('/stock')
+        let scrapeRun = null;
+        
+        function connectScrapeEvents() {
+          if (!window.EventSource) return;
+          const source = new EventSource('/scrape/events');
+          ${JSON.stringify(SCRAPE_EVENT_TYPES)}.forEach(type => {
+            source.addEventListener(type, e => handleScrapeEvent(JSON.parse(e.data)));
+          });
+        }
+        
+        function handleScrapeEvent(event) {
+          if (event.type === 'run_started' || !scrapeRun) {
+            // Joining mid-run: start counting from the dealer we are told about
+            scrapeRun = { total: event.total || 0, done: Math.max(0, (event.index || 1) - 1), success: 0, failed: 0, vehicles: 0 };
+            if (event.type === 'run_started') document.getElementById('scrapeLog').innerHTML = '';
+            document.getElementById('scrapeProgress').style.display = 'block';
+          }
+          
+          switch (event.type) {
+            case 'run_started':
+              appendScrapeLog('🚀 Started scraping ' + event.total + ' dealers');
+              break;
+            case 'dealer_started':
+              appendScrapeLog('📍 [' + event.index + '/' + event.total + '] ' + event.dealer);
+              break;
+            case 'inventory_found':
+              appendScrapeLog('🔗 ' + event.dealer + ': ' + event.url);
+              break;
+            case 'vehicles_extracted':
+              appendScrapeLog('📄 ' + event.dealer + ': page ' + event.page + ', +' + event.count + ' vehicles (' + event.total + ' total)');
+              break;
+            case 'dealer_finished':
+              scrapeRun.done++;
+              scrapeRun.success++;
+              scrapeRun.vehicles += event.count || 0;
+              appendScrapeLog('✅ ' + event.dealer + ': ' + (event.count || 0) + ' vehicles', 'log-success');
+              break;
+            case 'dealer_failed':
+              scrapeRun.done++;
+              scrapeRun.failed++;
+              appendScrapeLog('❌ ' + event.dealer + ': ' + (event.error || event.status), 'log-failed');
+              break;
+            case 'run_finished':
+              appendScrapeLog(event.status === 'completed'
+                ? '🎉 Finished: ' + event.successCount + ' successful, ' + event.failCount + ' failed, ' + event.totalVehicles + ' vehicles'
+                : (event.status === 'cancelled' ? '🛑 Cancelled' : '❌ Run failed: ' + event.error), event.status === 'completed' ? 'log-success' : 'log-failed');
+              if (event.status === 'completed') scrapeRun.done = scrapeRun.total;
+              checkStatus().then(status => {
+                if (status && !status.inProgress) {
+                  ['testBtn', 'smallBtn', 'fullBtn'].forEach(id => { document.getElementById(id).disabled = false; });
+                }
+              });
+              break;
+          }
+          renderScrapeProgress();
+        }
+        
+        function appendScrapeLog(text, className) {
+          const log = document.getElementById('scrapeLog');
+          const line = document.createElement('div');
+          line.textContent = new Date().toLocaleTimeString() + '  ' + text;
+          if (className) line.className = className;
+          log.appendChild(line);
+          log.scrollTop = log.scrollHeight;
+        }
+        
+        function renderScrapeProgress() {
+          const percent = scrapeRun.total ? Math.min(100, Math.round(scrapeRun.done / scrapeRun.total * 100)) : 0;
+          document.getElementById('scrapeProgressFill').style.width = percent + '%';
+          document.getElementById('scrapeCounts').innerHTML =
+            '<div class="stat-card"><div class="stat-number">' + scrapeRun.done + '/' + scrapeRun.total + '</div><div class="stat-label">Dealers (' + percent + '%)</div></div>' +
+            '<div class="stat-card"><div class="stat-number success-color">' + scrapeRun.success + '</div><div class="stat-label">Successful</div></div>' +
+            '<div class="stat-card"><div class="stat-number error-color">' + scrapeRun.failed + '</div><div class="stat-label">Failed</div></div>' +
+            '<div class="stat-card"><div class="stat-number info-color">' + scrapeRun.vehicles + '</div><div class="stat-label">Vehicles</div></div>';
+        }
+        
+        function cancelScrape(jobId) {
+          fetch('/scrape/jobs/' + encodeURIComponent(jobId), { method: 'DELETE' })
+            .then(r => r.json())
+            .then(() => checkStatus());
+        }
+        
+        function validateUrls() {
+          document.getElementById('validateBtn').disabled = true;
+          fetch('/validate-urls/start', { method: 'POST', headers: {'Content-Type': 'application/json'}, body: '{}' })
+            .then(r => r.json())
+            .then(result => {
+              if (result.error) {
+                document.getElementById('urlValidationStatus').innerHTML = '<div class="status warning">⚠️ ' + result.error + '</div>';
+              }
+              checkUrlValidation();
+            });
+        }
+        
+        function checkUrlValidation() {
+          fetch('/validate-urls/status')
+            .then(r => r.json())
+            .then(status => {
+              const panel = document.getElementById('urlValidationStatus');
+              
+              if (status.inProgress) {
+                panel.innerHTML = '<div class="status info"><span class="loading"></span>Validating dealer websites... ' + status.done + '/' + (status.total || '?') + '</div>';
+                setTimeout(checkUrlValidation, 3000);
+                return;
+              }
+              
+              document.getElementById('validateBtn').disabled = false;
+              const report = status.lastReport;
+              if (!report) return;
+              
+              let html = '<div class="status ' + (report.dead.length > 0 ? 'warning' : 'success') + '">🔗 Last URL check (' + new Date(report.finishedAt).toLocaleString() + '): ' +
+                Object.entries(report.counts).map(([s, count]) => s + ' ' + count).join(', ') +
+                (report.rewritten.length > 0 ? ' — ' + report.rewritten.length + ' websites updated to their canonical URL' : '') + '</div>';
+              if (report.dead.length > 0) {
+                html += '<p><strong>❌ Dead dealers (will fail to scrape):</strong> ' + report.dead.map(d => d.dealer + ' (' + d.status + ')').join(', ') + '</p>';
+              }
+              panel.innerHTML = html;
+            });
+        }
+        
+        function loadSchedules() {
+          fetch('/schedules')
             .then(r => r.json())
             .then(data => {
-              let html = '<h3 class="results-header">📋 Current Stock Data (' + data.totalVehicles + ' vehicles)</h3>';
-              html += '<p><strong>Last updated:</strong> ' + new Date(data.lastUpdated).toLocaleString() + '</p>';
+              const panel = document.getElementById('schedulesPanel');
+              if (!data.enabled) {
+                panel.innerHTML = '<div class="status warning">⚠️ Scheduler is disabled (DISABLE_SCHEDULER=true)</div>';
+                return;
+              }
               
-              if (data.vehicles.length > 0) {
-                // Group by dealer for better organization
-                const byDealer = {};
-                data.vehicles.forEach(vehicle => {
-                  if (!byDealer[vehicle.dealer]) {
-                    byDealer[vehicle.dealer] = [];
+              let html = '';
+              data.schedules.forEach(job => {
+                const state = job.running ? '<span class="loading"></span>Running' : job.paused ? '⏸️ Paused' : job.error ? '❌ ' + job.error : '✅ Active';
+                html += '<div class="dealer-card">';
+                html += '<h3>' + job.name + ' <code>' + job.cron + '</code></h3>';
+                html += '<p><strong>Status:</strong> ' + state + '</p>';
+                html += '<p><strong>Next run:</strong> ' + (job.nextRunAt && !job.paused ? new Date(job.nextRunAt).toLocaleString() : '—') + '</p>';
+                if (job.lastRunAt) {
+                  html += '<p><strong>Last run:</strong> ' + new Date(job.lastRunAt).toLocaleString() + ' (' + job.lastTrigger + ')' +
+                    (job.lastStatus ? ' — ' + job.lastStatus : '') + (job.lastError ? ': ' + job.lastError : '') + '</p>';
+                }
+                html += '<button class="btn" onclick="scheduleAction(\\'' + job.id + '\\', \\'' + (job.paused ? 'resume' : 'pause') + '\\')">' + (job.paused ? '▶️ Resume' : '⏸️ Pause') + '</button>';
+                html += '<button class="btn" onclick="scheduleAction(\\'' + job.id + '\\', \\'run\\')"' + (job.running ? ' disabled' : '') + '>🚀 Run Now</button>';
+                html += '</div>';
+              });
+              panel.innerHTML = html || '<p>No schedules defined.</p>';
+              
+              if (data.schedules.some(job => job.running)) {
+                setTimeout(loadSchedules, 5000);
+              }
+            });
+        }
+        
+        function scheduleAction(id, action) {
+          fetch('/schedules/' + encodeURIComponent(id) + '/' + action, { method: 'POST' })
+            .then(r => r.json())
+            .then(result => {
+              if (result.error) {
+                document.getElementById('schedulesPanel').insertAdjacentHTML('afterbegin', '<div class="status error">❌ ' + result.error + '</div>');
+                return;
+              }
+              loadSchedules();
+              if (action === 'run') checkStatus();
+            });
+        }
+        
+        function loadChanges() {
+          const since = document.getElementById('changesSince').value;
+          const panel = document.getElementById('changesPanel');
+          
+          fetch('/stock/changes?since=' + encodeURIComponent(since))
+            .then(r => r.json())
+            .then(data => {
+              if (data.error) {
+                panel.innerHTML = '<div class="status error">❌ ' + data.error + '</div>';
+                return;
+              }
+              
+              let html = '<div class="stats-grid">';
+              html += '<div class="stat-card"><div class="stat-number success-color">' + data.counts.added + '</div><div class="stat-label">New Arrivals</div></div>';
+              html += '<div class="stat-card"><div class="stat-number error-color">' + data.counts.removed + '</div><div class="stat-label">Sold / Removed</div></div>';
+              html += '<div class="stat-card"><div class="stat-number info-color">' + data.counts.price_changed + '</div><div class="stat-label">Price Changes</div></div>';
+              html += '</div>';
+              
+              if (data.changes.length === 0) {
+                html += '<div class="status info">ℹ️ No inventory changes in this period.</div>';
+              } else {
+                const labels = { added: '🆕 New', removed: '🏷️ Gone', price_changed: '💲 Price' };
+                html += '<div style="max-height: 400px; overflow-y: auto;">';
+                data.changes.slice(0, 100).forEach(change => {
+                  const v = change.vehicle;
+                  html += '<div class="change-item change-' + change.type + '">';
+                  html += '<strong>' + labels[change.type] + '</strong> ';
+                  html += (v.year || '') + ' ' + (v.make || '') + ' ' + (v.model || '') + ' ' + (v.trim || '');
+                  html += ' — ' + change.dealer;
+                  if (change.type === 'price_changed') {
+                    const arrow = change.priceDelta < 0 ? '🔻' : '🔺';
+                    html += ' ' + arrow + ' $' + change.previousPrice.toLocaleString() + ' → $' + change.price.toLocaleString();
+                  } else if (v.price) {
+                    html += ' ($' + v.price + ')';
                   }
-                  byDealer[vehicle.dealer].push(vehicle);
+                  html += '</div>';
                 });
-                
+                if (data.changes.length > 100) {
+                  html += '<p><em>... and ' + (data.changes.length - 100) + ' more changes</em></p>';
+                }
+                html += '</div>';
+              }
+              
+              panel.innerHTML = html;
+            })
+            .catch(error => {
+              panel.innerHTML = '<div class="status warning">📭 Change feed not available</div>';
+            });
+        }
+        
+        function loadUnmatched() {
+          const kind = document.getElementById('unmatchedKind').value;
+          const panel = document.getElementById('unmatchedPanel');
+          
+          fetch('/catalog/unmatched?limit=100' + (kind ? '&kind=' + kind : ''))
+            .then(r => r.json())
+            .then(data => {
+              if (data.error) {
+                panel.innerHTML = '<div class="status error">❌ ' + data.error + '</div>';
+                return;
+              }
+              if (data.entries.length === 0) {
+                panel.innerHTML = '<div class="status info">ℹ️ Every scraped title matched the catalog.</div>';
+                return;
+              }
+              
+              let html = '<p>' + data.total + ' unmatched entries</p>';
+              html += '<div style="max-height: 400px; overflow-y: auto;">';
+              data.entries.forEach(entry => {
+                html += '<div class="dealer-card">';
+                html += '<strong>' + entry.kind + '</strong> ';
+                html += (entry.make ? entry.make + ' ' : '') + (entry.model ? entry.model + ' ' : '') + '<code>' + entry.text + '</code>';
+                html += ' — seen ' + entry.count + ' times';
+                if (entry.example) html += '<br><em>' + entry.example + '</em>';
+                if (entry.dealers.length > 0) html += '<br>🏢 ' + entry.dealers.join(', ');
+                html += '</div>';
+              });
+              html += '</div>';
+              panel.innerHTML = html;
+            })
+            .catch(error => {
+              panel.innerHTML = '<div class="status warning">📭 Catalog gaps not available</div>';
+            });
+        }
+        
+        const STOCK_PAGE_SIZE = 25;
+        let stockCursors = [];
+        
+        function stockParams() {
+          const params = new URLSearchParams();
+          const fields = {
+            q: 'stockQuery', make: 'stockMake', model: 'stockModel', city: 'stockCity',
+            condition: 'stockCondition', yearMin: 'stockYearMin', yearMax: 'stockYearMax',
+            priceMin: 'stockPriceMin', priceMax: 'stockPriceMax', sort: 'stockSort'
+          };
+          Object.entries(fields).forEach(([param, id]) => {
+            const value = document.getElementById(id).value.trim();
+            if (value) params.set(param, value);
+          });
+          params.set('limit', STOCK_PAGE_SIZE);
+          return params;
+        }
+        
+        // Stock exports use the stock filters; dealer exports use the brand/postal code search
+        function exportData(source, format) {
+          let params;
+          if (source === 'stock') {
+            params = stockParams();
+            params.delete('limit');
+          } else {
+            params = new URLSearchParams();
+            const brand = document.getElementById('brand').value.trim();
+            const postalCode = document.getElementById('postalCode').value.trim();
+            if (brand) params.set('brand', brand);
+            if (postalCode) {
+              params.set('postalCode', postalCode);
+              params.set('radius', document.getElementById('radius').value);
+            }
+          }
+          params.set('source', source);
+          params.set('format', format);
+          window.location = '/export?' + params.toString();
+        }
+        
+        const PRICE_LABELS = { internet: 'Internet price', sale: 'Sale price', msrp: 'MSRP', price: 'Price' };
+        
+        // Older snapshots stored prices as "45,999"
+        function formatMoney(value) {
+          const amount = Number(String(value).replace(/[^\\d.]/g, ''));
+          return isNaN(amount) ? value : amount.toLocaleString();
+        }
+        
+        // page: undefined starts over with the current filters, 1 goes forward, -1 back
+        function viewStock(page) {
+          if (!page) stockCursors = [null];
+          if (page === 1 && stockCursors.nextCursor) stockCursors.push(stockCursors.nextCursor);
+          if (page === -1 && stockCursors.length > 1) stockCursors.pop();
+          
+          const params = stockParams();
+          const cursor = stockCursors[stockCursors.length - 1];
+          if (cursor) params.set('cursor', cursor);
+          
+          fetch('/stock?' + params.toString())
+            .then(r => r.json())
+            .then(data => {
+              if (data.error) {
+                document.getElementById('results').innerHTML = '<div class="status error">❌ ' + data.error + '</div>';
+                return;
+              }
+              
+              stockCursors.nextCursor = data.nextCursor;
+              
+              let html = '<h3 class="results-header">📋 Current Stock Data (' + data.totalVehicles + ' matching vehicles from ' + data.totalDealers + ' dealers)</h3>';
+              html += '<p><strong>Last updated:</strong> ' + new Date(data.lastUpdated).toLocaleString() + '</p>';
+              if (data.duplicateListings > 0) {
+                html += '<p><strong>🔗 Duplicates:</strong> ' + data.duplicateListings + ' listings of the same unit at sister stores were merged</p>';
+              }
+              if (data.conditionCounts) {
+                html += '<p><strong>🏷️ By condition:</strong> ' + Object.entries(data.conditionCounts).map(([c, count]) => c + ': ' + count).join(', ') + '</p>';
+              }
+              
+              if (data.vehicles.length > 0) {
                 html += '<div style="max-height: 600px; overflow-y: auto; margin-top: 20px;">';
                 
-                Object.entries(byDealer).slice(0, 15).forEach(([dealer, vehicles]) => {
-                  html += '<div class="dealer-card">';
-                  html += '<h4>' + dealer + ' (' + vehicles.length + ' vehicles)</h4>';
-                  
-                  vehicles.slice(0, 3).forEach(vehicle => {
-                    html += '<div style="padding: 12px; margin: 8px 0; background: #f8f9fa; border-radius: 8px; border-left: 3px solid #007bff;">';
-                    html += '<strong>' + (vehicle.year || '') + ' ' + (vehicle.make || '') + ' ' + (vehicle.model || '') + '</strong><br>';
-                    if (vehicle.trim && vehicle.trim !== '') html += 'Trim: ' + vehicle.trim + '<br>';
-                    if (vehicle.price && vehicle.price !== '') html += '💰 Price: $' + vehicle.price + '<br>';
-                    if (vehicle.stock && vehicle.stock !== '') html += '📋 Stock: ' + vehicle.stock + '<br>';
-                    html += '<small>🔗 <a href="' + vehicle.sourceUrl + '" target="_blank">View Source</a></small>';
-                    html += '</div>';
-                  });
-                  
-                  if (vehicles.length > 3) {
-                    html += '<p><em>... and ' + (vehicles.length - 3) + ' more vehicles</em></p>';
+                data.vehicles.forEach(vehicle => {
+                  html += '<div style="padding: 12px; margin: 8px 0; background: #f8f9fa; border-radius: 8px; border-left: 3px solid #007bff;">';
+                  html += '<strong>' + (vehicle.year || '') + ' ' + (vehicle.make || '') + ' ' + (vehicle.model || '') + '</strong> — ' + vehicle.dealer + (vehicle.city ? ', ' + vehicle.city : '') + '<br>';
+                  if (vehicle.trim && vehicle.trim !== '') html += 'Trim: ' + vehicle.trim + '<br>';
+                  if (vehicle.drivetrain) html += 'Drivetrain: ' + vehicle.drivetrain + '<br>';
+                  html += '🏷️ ' + ({ new: 'New', used: 'Used', certified: 'Certified Pre-Owned' }[vehicle.condition || 'new'] || vehicle.condition) + '<br>';
+                  if (vehicle.price && vehicle.price !== '') {
+                    html += '💰 ' + (PRICE_LABELS[vehicle.priceType] || 'Price') + ': $' + formatMoney(vehicle.price);
+                    if (vehicle.msrp && vehicle.priceType !== 'msrp') html += ' <small>(MSRP $' + formatMoney(vehicle.msrp) + ')</small>';
+                    html += '<br>';
+                  } else if (vehicle.priceType === 'call_for_price') {
+                    html += '💰 Call for price<br>';
+                  }
+                  if (vehicle.paymentAmount) {
+                    html += '💳 ' + (vehicle.paymentType === 'lease' ? 'Lease' : vehicle.paymentType === 'finance' ? 'Finance' : 'Payment') + ': $' + formatMoney(vehicle.paymentAmount) +
+                      (vehicle.paymentFrequency ? ' ' + vehicle.paymentFrequency : '') +
+                      (vehicle.paymentTermMonths ? ' for ' + vehicle.paymentTermMonths + ' months' : '') +
+                      (vehicle.paymentRate ? ' @ ' + vehicle.paymentRate + '%' : '') + '<br>';
                   }
-                  
+                  if (vehicle.stock && vehicle.stock !== '') html += '📋 Stock: ' + vehicle.stock + '<br>';
+                  if (vehicle.vin) html += '🔑 VIN: ' + vehicle.vin + (vehicle.vinStatus === 'valid' ? ' ✅' : ' ⚠️ check digit') + (vehicle.vinConflicts ? ' (VIN disagrees on ' + vehicle.vinConflicts.replace(/;/g, ', ') + ')' : '') + '<br>';
+                  if (vehicle.odometerKm) html += '🛣️ Odometer: ' + Number(vehicle.odometerKm).toLocaleString() + ' km<br>';
+                  if (vehicle.listingCount > 1) {
+                    html += '🏢 Listed at ' + vehicle.listingCount + ' dealers: ' + vehicle.listings.map(listing =>
+                      '<a href="' + (listing.detailUrl || listing.sourceUrl) + '" target="_blank">' + listing.dealer + '</a>' + (listing.price ? ' ($' + formatMoney(listing.price) + ')' : '')
+                    ).join(', ') + '<br>';
+                  }
+                  html += '<small>🔗 <a href="' + (vehicle.detailUrl || vehicle.sourceUrl) + '" target="_blank">View Source</a></small>';
                   html += '</div>';
                 });
                 
                 html += '</div>';
-                html += '<div class="status info">💾 Complete database: 640 vehicles across 10 brands. Showing top 15 dealers with sample vehicles.</div>';
+                
+                html += '<div style="text-align: center; margin: 15px 0;">';
+                if (stockCursors.length > 1) html += '<button class="btn" onclick="viewStock(-1)">⬅️ Previous</button>';
+                html += ' Showing ' + (data.offset + 1) + '–' + (data.offset + data.count) + ' of ' + data.totalVehicles + ' ';
+                if (data.nextCursor) html += '<button class="btn" onclick="viewStock(1)">Next ➡️</button>';
+                html += '</div>';
+              } else {
+                html += '<div class="status warning">No vehicles match these filters</div>';
               }
               
               document.getElementById('results').innerHTML = html;
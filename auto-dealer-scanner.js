@@ -0,0 +1,646 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const { parseCSVLine } = require('./csv-utils');
+const { loadFSACentroids, extractPostalCode, geocodePostalCode } = require('./geo-search');
+const { readDealers, createDealer, applyDealerUpdates } = require('./dealer-csv');
+const { createBrowserPool } = require('./browser-pool');
+const { diceCoefficient, normalizeText } = require('./fuzzy-match');
+const { createScheduler } = require('./scheduler');
+const { USER_AGENT } = require('./user-agent');
+
+// Scans the OEM dealer locators in dealer_locator.csv for GTA dealers and merges
+// them into the dealer CSV. Commands:
+//   scan   add new dealers, fill empty fields, report other differences for review
+//   force  like scan, but also overwrite differing phone/address/website
+//   test   one brand (--brand) and two postal codes, nothing written
+//   schedule  keeps running and does a scan on a cron (--cron, default Mondays 04:00)
+const LOCATOR_CSV_PATH = path.join(__dirname, 'dealer_locator.csv');
+const STORE_DIR = process.env.INVENTORY_STORE_DIR || path.join(__dirname, 'store');
+const REPORT_PATH = path.join(STORE_DIR, 'dealer-scan-report.json');
+const SCHEDULE_PATH = path.join(STORE_DIR, 'dealer-scan-schedule.json');
+const DEFAULT_SCAN_CRON = '0 4 * * 1';
+
+// Real dealer postal codes spread across the GTA; every locator is searched from each
+const GTA_SEARCH_POSTAL_CODES = [
+  'M4M 1H1', // Downtown / East End
+  'M6B 3T5', // North York (Yorkdale)
+  'M1L 2L9', // Scarborough
+  'M8Y 1H8', // Etobicoke
+  'L3R 1G9', // Markham
+  'L4S 1K9', // Richmond Hill
+  'L4K 0A1', // Vaughan
+  'L3Y 5H1', // Newmarket
+  'L4X 1L9', // Mississauga
+  'L6T 5T1', // Brampton
+  'L6L 6M1', // Oakville
+  'L9T 0K2', // Milton
+  'L1P 1Z1' // Whitby / Durham
+];
+
+// Locator CSV spellings -> the brand names used in the dealer database
+const BRAND_ALIASES = {
+  'crysler/jeep/dodge/ram': 'Chrysler/Dodge/Jeep/Ram',
+  'chrysler/jeep/dodge/ram': 'Chrysler/Dodge/Jeep/Ram',
+  'chrysler': 'Chrysler/Dodge/Jeep/Ram',
+  'mercedes': 'Mercedes-Benz',
+  'vw': 'Volkswagen'
+};
+
+const POSTAL_INPUT_SELECTORS = [
+  'input[name*="postal" i]', 'input[id*="postal" i]', 'input[placeholder*="postal" i]',
+  'input[aria-label*="postal" i]', 'input[name*="zip" i]', 'input[placeholder*="city" i]',
+  'input[placeholder*="location" i]', 'input[type="search"]', 'input[name*="search" i]'
+];
+const COOKIE_BUTTON_SELECTORS = ['#onetrust-accept-btn-handler', 'button[id*="accept" i]', 'button[class*="accept" i]'];
+
+const NAME_KEYS = ['dealerName', 'retailerName', 'displayName', 'name', 'companyName', 'title'];
+const STREET_KEYS = ['streetAddress', 'address1', 'addressLine1', 'line1', 'street', 'address', 'fullAddress'];
+const CITY_KEYS = ['city', 'addressLocality', 'town', 'locality'];
+const POSTAL_KEYS = ['postalCode', 'postal', 'zip', 'zipCode', 'postcode'];
+const PHONE_KEYS = ['phone', 'phoneNumber', 'telephone', 'salesPhone', 'mainPhone', 'primaryPhone'];
+const WEBSITE_KEYS = ['website', 'websiteUrl', 'webSite', 'url', 'dealerUrl', 'homepage', 'homepageUrl', 'siteUrl'];
+
+// Words that don't help tell two dealer names apart
+const NAME_NOISE = /\b(inc|ltd|limited|corp|corporation|the|and|of|dealership|motors?|auto(motive)?|cars?|group)\b/g;
+
+function normalizeBrand(brand) {
+  const trimmed = String(brand || '').trim();
+  return BRAND_ALIASES[trimmed.toLowerCase()] || trimmed;
+}
+
+function brandWords(brand) {
+  return normalizeText(brand).split(' ').filter(Boolean);
+}
+
+async function loadLocators() {
+  const content = await fs.readFile(LOCATOR_CSV_PATH, 'utf8');
+  const lines = content.split('\n').filter(line => line.trim());
+  const locators = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    const [brand, url] = parseCSVLine(lines[i]);
+    if (brand && url && /^https?:\/\//i.test(url)) {
+      locators.push({ brand: normalizeBrand(brand), url });
+    }
+  }
+  return locators;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+function phoneDigits(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+function formatPhone(phone) {
+  const digits = phoneDigits(phone);
+  return digits.length === 10 ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` : '';
+}
+
+// Dealer homepage without tracking parameters; OEM-hosted pages are not a dealer website
+function normalizeWebsite(url, locatorUrl) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    if (hostOf(parsed.href) === hostOf(locatorUrl)) return '';
+    return `${parsed.protocol}//${parsed.hostname}/`;
+  } catch (e) {
+    return '';
+  }
+}
+
+function dealerNameKey(name, brand) {
+  let key = ` ${normalizeText(name)} `.replace(NAME_NOISE, ' ');
+  for (const word of brandWords(brand)) {
+    key = key.replace(new RegExp(`\\b${word}\\b`, 'g'), ' ');
+  }
+  return key.replace(/\s+/g, ' ').trim() || normalizeText(name);
+}
+
+// Case-insensitive lookup of the first non-empty string under any of keys
+function pickValue(object, keys) {
+  const lowerKeys = new Map(Object.keys(object).map(key => [key.toLowerCase(), key]));
+  for (const key of keys) {
+    const actual = lowerKeys.get(key.toLowerCase());
+    if (actual === undefined) continue;
+    const value = object[actual];
+    if (typeof value === 'string' && value.trim()) return value.trim();
+    if (typeof value === 'number') return String(value);
+  }
+  return '';
+}
+
+// Locator APIs nest the address either flat or under an "address" object
+function addressParts(object) {
+  const nested = object.address && typeof object.address === 'object' ? object.address : {};
+  const street = pickValue(nested, STREET_KEYS) || pickValue(object, STREET_KEYS);
+  const city = pickValue(nested, CITY_KEYS) || pickValue(object, CITY_KEYS);
+  const postalCode = extractPostalCode(pickValue(nested, POSTAL_KEYS) || pickValue(object, POSTAL_KEYS) || street);
+  return { street, city, postalCode };
+}
+
+function buildCandidate(fields, brand, locatorUrl, foundVia) {
+  const postalCode = fields.postalCode || extractPostalCode(fields.street);
+  if (!fields.name || !postalCode) return null;
+
+  let address = fields.street || '';
+  if (fields.city && !address.toLowerCase().includes(fields.city.toLowerCase())) {
+    address += (address ? ', ' : '') + fields.city;
+  }
+  if (!extractPostalCode(address)) {
+    address += (address ? ', ON ' : '') + postalCode;
+  }
+
+  return {
+    brand,
+    name: fields.name.replace(/\s+/g, ' ').trim(),
+    address: address.replace(/\s+/g, ' ').trim(),
+    city: fields.city || '',
+    postalCode,
+    phone: formatPhone(fields.phone),
+    website: normalizeWebsite(fields.website, locatorUrl),
+    source: locatorUrl,
+    foundVia
+  };
+}
+
+function candidateFromObject(object, brand, locatorUrl) {
+  const name = pickValue(object, NAME_KEYS);
+  if (!name || name.length > 120) return null;
+
+  const { street, city, postalCode } = addressParts(object);
+  const phone = pickValue(object, PHONE_KEYS);
+  const website = pickValue(object, WEBSITE_KEYS);
+  if (!street && !postalCode) return null;
+
+  return buildCandidate({ name, street, city, postalCode, phone, website }, brand, locatorUrl, 'json');
+}
+
+// Walks an intercepted locator API response for dealer-shaped objects
+function extractDealersFromJson(data, brand, locatorUrl, found = [], depth = 0) {
+  if (!data || typeof data !== 'object' || depth > 8) return found;
+
+  if (Array.isArray(data)) {
+    data.forEach(item => extractDealersFromJson(item, brand, locatorUrl, found, depth + 1));
+    return found;
+  }
+
+  const candidate = candidateFromObject(data, brand, locatorUrl);
+  if (candidate) {
+    found.push(candidate);
+    return found;
+  }
+
+  for (const value of Object.values(data)) {
+    if (value && typeof value === 'object') extractDealersFromJson(value, brand, locatorUrl, found, depth + 1);
+  }
+  return found;
+}
+
+// Text of every node, space-separated (cheerio's .text() runs adjacent elements together)
+function spacedText($, elem) {
+  const parts = [];
+  $(elem).find('*').addBack().contents().each((i, node) => {
+    if (node.type === 'text') parts.push(node.data);
+  });
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+const LD_DEALER_TYPES = ['AutoDealer', 'AutomotiveBusiness', 'LocalBusiness', 'Organization'];
+
+function collectLdDealers(node, found) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(child => collectLdDealers(child, found));
+    return;
+  }
+  const types = [].concat(node['@type'] || []);
+  if (types.some(type => LD_DEALER_TYPES.includes(type)) && node.address) {
+    found.push(node);
+  }
+  for (const key of ['@graph', 'itemListElement', 'item', 'department', 'subOrganization']) {
+    if (node[key]) collectLdDealers(node[key], found);
+  }
+}
+
+// Dealer cards rendered in the page: JSON-LD first, then elements that look like result cards
+function extractDealersFromHtml(html, brand, locatorUrl) {
+  const $ = cheerio.load(html);
+  const found = [];
+
+  $('script[type="application/ld+json"]').each((i, elem) => {
+    try {
+      const nodes = [];
+      collectLdDealers(JSON.parse($(elem).contents().text()), nodes);
+      for (const node of nodes) {
+        const address = typeof node.address === 'object' ? node.address : { streetAddress: String(node.address) };
+        const candidate = buildCandidate({
+          name: String(node.name || ''),
+          street: address.streetAddress || '',
+          city: address.addressLocality || '',
+          postalCode: extractPostalCode(address.postalCode),
+          phone: node.telephone,
+          website: node.url
+        }, brand, locatorUrl, 'json-ld');
+        if (candidate) found.push(candidate);
+      }
+    } catch (e) {
+      // Malformed JSON-LD; the DOM pass may still find the dealers
+    }
+  });
+  if (found.length > 0) return found;
+
+  const cards = $('[class*="dealer-card" i], [class*="dealercard" i], [class*="dealer-item" i], [class*="dealer-result" i], [class*="retailer-card" i], [class*="retailer-item" i], li[class*="dealer" i], [data-dealer-id], [data-dealer-code]');
+  cards.each((i, elem) => {
+    const $card = $(elem);
+    // Skip wrappers that contain other cards
+    if ($card.find('[data-dealer-id], [data-dealer-code], [class*="dealer-card" i]').length > 0) return;
+
+    const text = spacedText($, elem);
+    const postalCode = extractPostalCode(text);
+    if (!postalCode) return;
+
+    const name = $card.find('h2, h3, h4, [class*="name" i]').first().text().trim();
+    const street = spacedText($, $card.find('[class*="address" i], address').first());
+    const phone = ($card.find('a[href^="tel:"]').attr('href') || '').replace('tel:', '');
+    const website = $card.find('a[href^="http"]').filter((j, a) => hostOf($(a).attr('href')) !== hostOf(locatorUrl)).first().attr('href');
+
+    const candidate = buildCandidate({ name, street: street || text, city: '', postalCode, phone, website }, brand, locatorUrl, 'dom');
+    if (candidate) found.push(candidate);
+  });
+
+  return found;
+}
+
+// Locators return dealers well outside the GTA for edge postal codes
+function isInGTA(candidate) {
+  return Boolean(geocodePostalCode(candidate.postalCode));
+}
+
+// Every key includes the brand: a dealer group often runs several brands from one site or phone line
+function candidateKeys(candidate) {
+  const keys = [];
+  const host = hostOf(candidate.website);
+  if (host) keys.push(`host:${candidate.brand}:${host}`);
+  if (candidate.phone) keys.push(`phone:${candidate.brand}:${phoneDigits(candidate.phone)}`);
+  keys.push(`name:${candidate.brand}:${dealerNameKey(candidate.name, candidate.brand)}`);
+  return keys;
+}
+
+// The same dealer shows up for several postal codes; keep one record, filling gaps
+function dedupeCandidates(candidates) {
+  const byKey = new Map();
+  const unique = [];
+
+  for (const candidate of candidates) {
+    const keys = candidateKeys(candidate);
+    const existing = keys.map(key => byKey.get(key)).find(Boolean);
+    if (existing) {
+      for (const field of ['phone', 'website', 'city']) {
+        if (!existing[field] && candidate[field]) existing[field] = candidate[field];
+      }
+      candidateKeys(existing).forEach(key => byKey.set(key, existing));
+      continue;
+    }
+    unique.push(candidate);
+    keys.forEach(key => byKey.set(key, candidate));
+  }
+
+  return unique;
+}
+
+// Finds the database dealer of the candidate's brand with the same website host, the same
+// phone, or a fuzzy name match (Dice on bigrams with brand words removed)
+function matchDealer(candidate, dealers) {
+  const host = hostOf(candidate.website);
+  const phone = phoneDigits(candidate.phone);
+  const nameKey = dealerNameKey(candidate.name, candidate.brand);
+  let best = null;
+
+  for (const dealer of dealers) {
+    if (dealer.brand.toLowerCase().trim() !== candidate.brand.toLowerCase()) continue;
+
+    if (host && hostOf(dealer.website) === host) {
+      return { dealer, score: 1, reason: 'website' };
+    }
+    if (phone && phone.length === 10 && phoneDigits(dealer.phone) === phone) {
+      return { dealer, score: 1, reason: 'phone' };
+    }
+
+    const score = diceCoefficient(nameKey, dealerNameKey(dealer.name, dealer.brand));
+    const samePostalArea = extractPostalCode(dealer.address).slice(0, 3) === candidate.postalCode.slice(0, 3);
+    if ((score >= 0.85 || (score >= 0.7 && samePostalArea)) && (!best || score > best.score)) {
+      best = { dealer, score: Math.round(score * 100) / 100, reason: samePostalArea ? 'name+postal' : 'name' };
+    }
+  }
+
+  return best;
+}
+
+function compareDealer(dealer, candidate) {
+  const changes = [];
+  if (candidate.phone && phoneDigits(candidate.phone) !== phoneDigits(dealer.phone)) {
+    changes.push({ field: 'phone', from: dealer.phone, to: candidate.phone });
+  }
+  if (candidate.website && hostOf(candidate.website) !== hostOf(dealer.website)) {
+    changes.push({ field: 'website', from: dealer.website, to: candidate.website });
+  }
+  if (candidate.postalCode && extractPostalCode(dealer.address) !== candidate.postalCode) {
+    changes.push({ field: 'address', from: dealer.address, to: candidate.address });
+  }
+  return changes;
+}
+
+async function dismissCookieBanner(page) {
+  for (const selector of COOKIE_BUTTON_SELECTORS) {
+    try {
+      const button = await page.$(selector);
+      if (button && await button.boundingBox()) {
+        await button.click();
+        return;
+      }
+    } catch (e) {
+      // Banner markup varies; try the next one
+    }
+  }
+}
+
+async function searchPostalCode(page, postalCode) {
+  for (const selector of POSTAL_INPUT_SELECTORS) {
+    const input = await page.$(selector).catch(() => null);
+    if (!input || !(await input.boundingBox())) continue;
+
+    await input.click({ clickCount: 3 });
+    await input.type(postalCode, { delay: 40 });
+    await page.keyboard.press('Enter');
+    await page.waitForNetworkIdle({ idleTime: 1000, timeout: 15000 }).catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    return true;
+  }
+  return false;
+}
+
+// Loads one locator for one postal code, collecting dealers from intercepted JSON and the rendered page
+async function scanLocatorPostalCode(pool, locator, postalCode) {
+  return pool.withPage(async page => {
+    const responses = [];
+    page.on('response', response => {
+      const type = response.headers()['content-type'] || '';
+      if (type.includes('json')) {
+        responses.push(response.json().catch(() => null));
+      }
+    });
+
+    await page.goto(locator.url, { waitUntil: 'networkidle2', timeout: 45000 });
+    await dismissCookieBanner(page);
+    const searched = await searchPostalCode(page, postalCode);
+
+    const candidates = [];
+    for (const data of await Promise.all(responses)) {
+      extractDealersFromJson(data, locator.brand, locator.url, candidates);
+    }
+    candidates.push(...extractDealersFromHtml(await page.content(), locator.brand, locator.url));
+
+    return { searched, candidates };
+  });
+}
+
+async function scanLocator(pool, locator, postalCodes) {
+  const result = { brand: locator.brand, url: locator.url, postalCodesSearched: 0, candidates: [], errors: [] };
+  console.log(`\n🗺️ Scanning ${locator.brand} locator: ${locator.url}`);
+
+  for (const postalCode of postalCodes) {
+    try {
+      const { searched, candidates } = await scanLocatorPostalCode(pool, locator, postalCode);
+      if (searched) result.postalCodesSearched++;
+      result.candidates.push(...candidates);
+      console.log(`   📍 ${postalCode}: ${candidates.length} dealers${searched ? '' : ' (no postal code field found)'}`);
+    } catch (error) {
+      console.log(`   ❌ ${postalCode}: ${error.message}`);
+      result.errors.push({ postalCode, error: error.message });
+    }
+    await new Promise(resolve => setTimeout(resolve, 1500));
+  }
+
+  result.candidates = dedupeCandidates(result.candidates).filter(isInGTA);
+  console.log(`   ✅ ${result.candidates.length} GTA dealers found`);
+  return result;
+}
+
+// Merges scanned dealers into the dealer CSV and returns the review report
+async function mergeCandidates(candidates, options = {}) {
+  const force = options.mode === 'force';
+  const { dealers } = await readDealers();
+  const added = [];
+  const updated = [];
+  const pendingChanges = [];
+  const skipped = [];
+  const updates = {};
+
+  for (const candidate of dedupeCandidates(candidates).filter(isInGTA)) {
+    const match = matchDealer(candidate, dealers);
+
+    if (!match) {
+      const dealer = { ...candidate, validationStatus: 'NEEDS_REVIEW' };
+      if (options.dryRun) {
+        added.push({ ...dealer, id: null });
+        continue;
+      }
+      try {
+        const created = await createDealer({
+          brand: dealer.brand, name: dealer.name, address: dealer.address, city: dealer.city || extractCity(dealer.address),
+          phone: dealer.phone, website: dealer.website, validationStatus: dealer.validationStatus
+        });
+        dealers.push(created);
+        added.push({ ...created, source: candidate.source, foundVia: candidate.foundVia });
+      } catch (error) {
+        skipped.push({ candidate, reason: error.details ? error.details.join('; ') : error.message });
+      }
+      continue;
+    }
+
+    const changes = compareDealer(match.dealer, candidate);
+    const apply = {};
+    const review = [];
+    for (const change of changes) {
+      if (force || !change.from) apply[change.field] = change.to;
+      else review.push(change);
+    }
+
+    if (Object.keys(apply).length > 0) {
+      updates[match.dealer.id] = apply;
+      updated.push({ id: match.dealer.id, dealer: match.dealer.name, match: match.reason, score: match.score, changes: changes.filter(c => apply[c.field]) });
+    }
+    if (review.length > 0) {
+      pendingChanges.push({ id: match.dealer.id, dealer: match.dealer.name, match: match.reason, score: match.score, changes: review });
+    }
+  }
+
+  if (!options.dryRun && Object.keys(updates).length > 0) {
+    await applyDealerUpdates(updates);
+  }
+
+  return { added, updated, pendingChanges, skipped };
+}
+
+// "123 Main St, Markham, ON L3R 1G9" -> "Markham"
+function extractCity(address) {
+  const parts = String(address || '').split(',').map(part => part.trim());
+  const provinceIndex = parts.findIndex(part => /\b(ON|Ontario)\b/.test(part));
+  return provinceIndex > 0 ? parts[provinceIndex - 1] : (parts[1] || '');
+}
+
+async function saveReport(report) {
+  await fs.mkdir(path.dirname(REPORT_PATH), { recursive: true });
+  await fs.writeFile(REPORT_PATH, JSON.stringify(report, null, 2), 'utf8');
+}
+
+// mode: 'scan' | 'force' | 'test'; brands limits the locators; postalCodes overrides the GTA list
+async function runDealerScan(options = {}) {
+  const mode = options.mode || 'scan';
+  const dryRun = mode === 'test' || Boolean(options.dryRun);
+  const startedAt = new Date().toISOString();
+
+  await loadFSACentroids();
+  let locators = await loadLocators();
+  if (options.brands && options.brands.length > 0) {
+    const wanted = options.brands.map(brand => normalizeBrand(brand).toLowerCase());
+    locators = locators.filter(locator => wanted.some(brand => locator.brand.toLowerCase().includes(brand)));
+  }
+  if (mode === 'test') locators = locators.slice(0, 1);
+  const postalCodes = options.postalCodes || (mode === 'test' ? GTA_SEARCH_POSTAL_CODES.slice(0, 2) : GTA_SEARCH_POSTAL_CODES);
+
+  console.log(`🔎 Dealer scan (${mode}${dryRun ? ', dry run' : ''}): ${locators.length} locators x ${postalCodes.length} postal codes`);
+
+  const pool = createBrowserPool({
+    maxBrowsers: 1,
+    pagesPerBrowser: 1,
+    userAgent: USER_AGENT,
+    launchOptions: {
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu', '--no-first-run'],
+      timeout: 30000
+    }
+  });
+
+  const locatorResults = [];
+  try {
+    for (const locator of locators) {
+      locatorResults.push(await scanLocator(pool, locator, postalCodes));
+    }
+  } finally {
+    await pool.close();
+  }
+
+  const candidates = locatorResults.flatMap(result => result.candidates);
+  const merge = await mergeCandidates(candidates, { mode, dryRun });
+
+  const report = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    mode,
+    dryRun,
+    locators: locatorResults.map(({ candidates: found, ...result }) => ({ ...result, dealersFound: found.length })),
+    totals: {
+      found: candidates.length,
+      added: merge.added.length,
+      updated: merge.updated.length,
+      pendingReview: merge.pendingChanges.length,
+      skipped: merge.skipped.length
+    },
+    ...merge
+  };
+
+  await saveReport(report);
+  return report;
+}
+
+function parseArgs(argv) {
+  const options = { mode: argv[0] || 'scan' };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--brand') options.brands = (options.brands || []).concat(argv[++i]);
+    else if (argv[i] === '--postal') options.postalCodes = (options.postalCodes || []).concat(argv[++i]);
+    else if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--cron') options.cron = argv[++i];
+  }
+  return options;
+}
+
+function printReport(report) {
+  console.log(`\n📊 Dealer scan ${report.mode}: ${report.totals.found} found, ${report.totals.added} added, ` +
+    `${report.totals.updated} updated, ${report.totals.pendingReview} need review, ${report.totals.skipped} skipped` +
+    (report.dryRun ? ' (dry run, nothing saved)' : ''));
+  report.added.forEach(dealer => console.log(`   ➕ ${dealer.brand}: ${dealer.name} — ${dealer.address}`));
+  report.pendingChanges.forEach(entry => {
+    console.log(`   ⚠️ ${entry.dealer} (${entry.match} match): ` + entry.changes.map(c => `${c.field} "${c.from}" → "${c.to}"`).join(', '));
+  });
+  report.skipped.forEach(entry => console.log(`   ⏭️ ${entry.candidate.name}: ${entry.reason}`));
+  console.log(`\n📄 Review report saved to ${REPORT_PATH}`);
+}
+
+// The schedule lives in its own file so this process and the server never write the same one.
+// --cron only seeds a new schedule file; edit the file to change an existing one.
+async function runScheduledScans(options) {
+  const { mode, cron, ...scanOptions } = options;
+  const scheduler = createScheduler({
+    storePath: SCHEDULE_PATH,
+    defaults: [{ id: 'dealer-scan', name: 'Dealer locator scan', cron: cron || DEFAULT_SCAN_CRON, type: 'dealer-scan', options: scanOptions }],
+    handlers: {
+      'dealer-scan': async job => {
+        const report = await runDealerScan({ ...job.options, mode: 'scan' });
+        printReport(report);
+        return report.totals;
+      }
+    }
+  });
+
+  await scheduler.start();
+  scheduler.list().forEach(job => console.log(`   ${job.name} (${job.cron}), next run ${job.nextRunAt}`));
+}
+
+const COMMANDS = ['scan', 'force', 'test', 'schedule'];
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!COMMANDS.includes(options.mode)) {
+    console.log(`Usage: node auto-dealer-scanner.js <${COMMANDS.join('|')}> [--brand Toyota] [--postal "M4M 1H1"] [--dry-run] [--cron "0 4 * * 1"]`);
+    process.exit(1);
+  }
+
+  if (options.mode === 'schedule') {
+    runScheduledScans(options).catch(error => {
+      console.error('❌ Dealer scan scheduler failed:', error);
+      process.exit(1);
+    });
+  } else {
+    runDealerScan(options)
+      .then(printReport)
+      .catch(error => {
+        console.error('❌ Dealer scan failed:', error);
+        process.exit(1);
+      });
+  }
+}
+
+module.exports = {
+  GTA_SEARCH_POSTAL_CODES,
+  REPORT_PATH,
+  normalizeBrand,
+  loadLocators,
+  extractDealersFromJson,
+  extractDealersFromHtml,
+  dedupeCandidates,
+  matchDealer,
+  mergeCandidates,
+  runDealerScan
+};
@@ -0,0 +1,170 @@
+const puppeteer = require('puppeteer');
+
+const CRASH_PATTERNS = [
+  /target closed/i,
+  /session closed/i,
+  /page crashed/i,
+  /browser has disconnected/i,
+  /protocol error.*(closed|detached)/i,
+  /detached frame/i,
+  /execution context was destroyed/i
+];
+
+function isCrashError(error) {
+  const message = (error && error.message) || '';
+  return CRASH_PATTERNS.some(pattern => pattern.test(message));
+}
+
+// Shares a few Chromium instances between dealers. Each acquired page is
+// fresh (no cookies carried between dealers); browsers are reused and
+// relaunched if they disconnect.
+function createBrowserPool(options = {}) {
+  const maxBrowsers = options.maxBrowsers || 1;
+  const pagesPerBrowser = options.pagesPerBrowser || 2;
+  const launchOptions = options.launchOptions || {};
+  const userAgent = options.userAgent;
+
+  const slots = [];
+  const waiting = [];
+  let closed = false;
+
+  function launchSlot() {
+    const slot = { browser: null, activePages: 0, launching: null };
+    slots.push(slot);
+
+    slot.launching = puppeteer.launch(launchOptions)
+      .then(browser => {
+        slot.browser = browser;
+        browser.on('disconnected', () => {
+          const index = slots.indexOf(slot);
+          if (index >= 0) slots.splice(index, 1);
+          if (!closed) console.log('⚠️ Browser disconnected; it will be relaunched on demand');
+        });
+        return browser;
+      })
+      .catch(error => {
+        const index = slots.indexOf(slot);
+        if (index >= 0) slots.splice(index, 1);
+        throw error;
+      });
+
+    return slot;
+  }
+
+  // Synchronously claims capacity so concurrent callers can't oversubscribe a browser
+  function reserveSlot() {
+    const available = slots
+      .filter(slot => slot.activePages < pagesPerBrowser)
+      .sort((a, b) => a.activePages - b.activePages);
+
+    let slot = null;
+    if (available.length > 0 && (available[0].activePages === 0 || slots.length >= maxBrowsers)) {
+      slot = available[0];
+    } else if (slots.length < maxBrowsers) {
+      slot = launchSlot();
+    }
+
+    if (slot) slot.activePages++;
+    return slot;
+  }
+
+  async function acquirePage() {
+    if (closed) throw new Error('Browser pool is closed');
+
+    let slot = reserveSlot();
+    while (!slot) {
+      await new Promise(resolve => waiting.push(resolve));
+      if (closed) throw new Error('Browser pool is closed');
+      slot = reserveSlot();
+    }
+
+    try {
+      const browser = await slot.launching;
+      const page = await browser.newPage();
+      page.__poolSlot = slot;
+      page.on('error', error => {
+        page.__crashed = true;
+        console.log('⚠️ Page crashed:', error.message);
+      });
+      if (userAgent) await page.setUserAgent(userAgent);
+      await page.setViewport({ width: 1366, height: 768 });
+      return page;
+    } catch (error) {
+      slot.activePages--;
+      wakeNext();
+      throw error;
+    }
+  }
+
+  function wakeNext() {
+    const next = waiting.shift();
+    if (next) next();
+  }
+
+  async function releasePage(page) {
+    const slot = page.__poolSlot;
+    try {
+      if (!page.isClosed()) await page.close();
+    } catch (e) {
+      // Page or browser already gone
+    }
+    if (slot) {
+      slot.activePages = Math.max(0, slot.activePages - 1);
+      if (page.__crashed && slot.browser && slot.activePages === 0) {
+        // A crashed renderer can leave the browser unusable; start clean
+        try {
+          await slot.browser.close();
+        } catch (e) {
+          // Already disconnected
+        }
+      }
+    }
+    wakeNext();
+  }
+
+  // Runs fn(page) and retries once on a fresh page if the page or browser crashed
+  async function withPage(fn) {
+    for (let attempt = 1; ; attempt++) {
+      const page = await acquirePage();
+      try {
+        return await fn(page);
+      } catch (error) {
+        if (attempt < 2 && !closed && (page.__crashed || isCrashError(error))) {
+          console.log(`🔁 Page crashed (${error.message}); retrying on a fresh page`);
+          page.__crashed = true;
+          continue;
+        }
+        throw error;
+      } finally {
+        await releasePage(page);
+      }
+    }
+  }
+
+  async function close() {
+    closed = true;
+    while (waiting.length > 0) waiting.shift()();
+
+    const browsers = slots.splice(0).map(slot => slot.launching.catch(() => null));
+    for (const browser of await Promise.all(browsers)) {
+      if (!browser) continue;
+      try {
+        await browser.close();
+      } catch (e) {
+        console.log('⚠️ Error closing browser:', e.message);
+      }
+    }
+  }
+
+  return {
+    acquirePage,
+    releasePage,
+    withPage,
+    close
+  };
+}
+
+module.exports = {
+  createBrowserPool,
+  isCrashError
+};
@@ -0,0 +1,69 @@
+// Runs worker(item, index) over items with at most `limit` in flight
+async function runWithConcurrency(items, limit, worker) {
+  let nextIndex = 0;
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+
+  const runners = Array.from({ length: workerCount }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+}
+
+// Serializes tasks that share a key (e.g. a hostname) while letting
+// different keys run in parallel
+function createKeyedLock() {
+  const tails = new Map();
+
+  return {
+    async run(key, task) {
+      const previous = tails.get(key) || Promise.resolve();
+      let release;
+      const current = new Promise(resolve => { release = resolve; });
+      const tail = previous.then(() => current);
+      tails.set(key, tail);
+
+      await previous;
+      try {
+        return await task();
+      } finally {
+        release();
+        if (tails.get(key) === tail) tails.delete(key);
+      }
+    }
+  };
+}
+
+// Spaces out requests to the same host: wait(url, intervalMs) resolves once at least
+// intervalMs have passed since the previous request to that host was allowed through
+function createHostRateLimiter() {
+  const nextSlot = new Map();
+
+  return {
+    async wait(url, intervalMs) {
+      const key = domainKey(url);
+      const now = Date.now();
+      const at = Math.max(now, nextSlot.get(key) || 0);
+      nextSlot.set(key, at + intervalMs);
+      if (at > now) await new Promise(resolve => setTimeout(resolve, at - now));
+    }
+  };
+}
+
+function domainKey(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (e) {
+    return String(url || '').toLowerCase();
+  }
+}
+
+module.exports = {
+  runWithConcurrency,
+  createKeyedLock,
+  createHostRateLimiter,
+  domainKey
+};
@@ -0,0 +1,271 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCSVLine } = require('./csv-utils');
+const { toCSV } = require('./export-formats');
+const { extractPostalCode } = require('./geo-search');
+
+const DEALER_CSV_PATH = process.env.DEALER_CSV_PATH || path.join(__dirname, 'gta_car_dealers_validated_final.csv');
+
+// File columns in order; ID was added later, so it goes last and is filled in when missing
+const DEALER_CSV_COLUMNS = [
+  { header: 'Brand', field: 'brand' },
+  { header: 'Dealer Name', field: 'name' },
+  { header: 'Address', field: 'address' },
+  { header: 'City', field: 'city' },
+  { header: 'Phone', field: 'phone' },
+  { header: 'Website', field: 'website' },
+  { header: 'Validation Status', field: 'validationStatus' },
+  { header: 'Last Checked', field: 'lastChecked' },
+  { header: 'ID', field: 'id' }
+];
+
+const EDITABLE_FIELDS = ['brand', 'name', 'address', 'city', 'phone', 'website', 'validationStatus', 'lastChecked'];
+const REQUIRED_FIELDS = ['brand', 'name', 'address', 'city'];
+
+let writeQueue = Promise.resolve();
+
+function dealerError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// "Toyota" + "Downtown Toyota" -> "downtown-toyota"; the brand is only prefixed
+// when the name doesn't already contain it. Collisions get -2, -3, ...
+function createDealerId(dealer, takenIds) {
+  const nameSlug = slugify(dealer.name);
+  const brandSlug = slugify(dealer.brand);
+  const base = nameSlug.includes(brandSlug) ? nameSlug : `${brandSlug}-${nameSlug}`;
+
+  let id = base || 'dealer';
+  for (let n = 2; takenIds.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  takenIds.add(id);
+  return id;
+}
+
+// Reads the dealer CSV by header. Returns { dealers, assignedIds } where
+// assignedIds counts rows that had no ID yet (the caller decides whether to persist them).
+async function readDealers() {
+  const content = await fs.readFile(DEALER_CSV_PATH, 'utf8');
+  const lines = content.split('\n').filter(line => line.trim());
+  const headers = parseCSVLine(lines[0] || '');
+  const dealers = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    const values = parseCSVLine(lines[i]);
+    if (values.length < 6) continue;
+
+    const dealer = {};
+    for (const column of DEALER_CSV_COLUMNS) {
+      const index = headers.indexOf(column.header);
+      dealer[column.field] = index >= 0 ? (values[index] || '') : '';
+    }
+    dealers.push(dealer);
+  }
+
+  const takenIds = new Set(dealers.map(dealer => dealer.id).filter(Boolean));
+  let assignedIds = 0;
+  for (const dealer of dealers) {
+    if (!dealer.id) {
+      dealer.id = createDealerId(dealer, takenIds);
+      assignedIds++;
+    }
+  }
+
+  return { dealers, assignedIds };
+}
+
+// Writes to a temp file and renames it over the CSV so readers never see a half-written file
+async function writeDealerFile(dealers) {
+  const tmpPath = `${DEALER_CSV_PATH}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, toCSV(dealers, DEALER_CSV_COLUMNS), 'utf8');
+  await fs.rename(tmpPath, DEALER_CSV_PATH);
+}
+
+// Read-modify-write under a single queue so concurrent API calls can't lose updates
+function updateDealerFile(mutate) {
+  const result = writeQueue.then(async () => {
+    const { dealers } = await readDealers();
+    const value = await mutate(dealers);
+    await writeDealerFile(dealers);
+    return value;
+  });
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+function formatPhone(phone) {
+  let digits = phone.replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  if (digits.length !== 10) return null;
+  return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+function normalizeWebsite(website) {
+  const withScheme = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+  try {
+    const url = new URL(withScheme);
+    if (!url.hostname.includes('.')) return null;
+    return url.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Validates and normalizes dealer input. With partial, only the given fields are checked.
+// Throws a 400 error listing every problem.
+function validateDealer(input, { partial = false } = {}) {
+  const dealer = {};
+  const errors = [];
+
+  for (const field of EDITABLE_FIELDS) {
+    if (input[field] === undefined) continue;
+    if (input[field] !== null && typeof input[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+    dealer[field] = (input[field] || '').replace(/\s+/g, ' ').trim();
+  }
+
+  if (!partial) {
+    for (const field of REQUIRED_FIELDS) {
+      if (!dealer[field]) errors.push(`${field} is required`);
+    }
+  } else {
+    for (const field of REQUIRED_FIELDS) {
+      if (dealer[field] === '') errors.push(`${field} cannot be empty`);
+    }
+  }
+
+  if (dealer.address && !extractPostalCode(dealer.address)) {
+    errors.push('address must include a Canadian postal code (e.g. M4M 1H1)');
+  }
+
+  if (dealer.phone) {
+    const phone = formatPhone(dealer.phone);
+    if (phone) {
+      dealer.phone = phone;
+    } else {
+      errors.push('phone must be a 10-digit North American number');
+    }
+  }
+
+  if (dealer.website) {
+    const website = normalizeWebsite(dealer.website);
+    if (website) {
+      dealer.website = website;
+    } else {
+      errors.push('website must be a valid http(s) URL');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw dealerError(400, 'Invalid dealer', errors);
+  }
+  return dealer;
+}
+
+function findDuplicate(dealers, dealer, exceptId) {
+  return dealers.find(existing =>
+    existing.id !== exceptId &&
+    existing.brand.toLowerCase() === dealer.brand.toLowerCase() &&
+    existing.name.toLowerCase() === dealer.name.toLowerCase()
+  );
+}
+
+function createDealer(input) {
+  const dealer = validateDealer(input);
+
+  return updateDealerFile(dealers => {
+    if (findDuplicate(dealers, dealer)) {
+      throw dealerError(409, `${dealer.brand} dealer "${dealer.name}" already exists`);
+    }
+
+    const created = { validationStatus: '', lastChecked: '', phone: '', website: '', ...dealer };
+    created.id = createDealerId(created, new Set(dealers.map(existing => existing.id)));
+    dealers.push(created);
+    return created;
+  });
+}
+
+// replace: true is a PUT (all required fields, unspecified optional fields cleared),
+// otherwise a PATCH of the given fields
+function updateDealer(id, input, { replace = false } = {}) {
+  const changes = validateDealer(input, { partial: !replace });
+
+  return updateDealerFile(dealers => {
+    const index = dealers.findIndex(dealer => dealer.id === id);
+    if (index < 0) throw dealerError(404, `Dealer not found: ${id}`);
+
+    const base = replace
+      ? { id, brand: '', name: '', address: '', city: '', phone: '', website: '', validationStatus: '', lastChecked: '' }
+      : dealers[index];
+    const updated = { ...base, ...changes, id };
+
+    if (findDuplicate(dealers, updated, id)) {
+      throw dealerError(409, `${updated.brand} dealer "${updated.name}" already exists`);
+    }
+
+    dealers[index] = updated;
+    return updated;
+  });
+}
+
+function deleteDealer(id) {
+  return updateDealerFile(dealers => {
+    const index = dealers.findIndex(dealer => dealer.id === id);
+    if (index < 0) throw dealerError(404, `Dealer not found: ${id}`);
+    return dealers.splice(index, 1)[0];
+  });
+}
+
+// Applies trusted field updates (e.g. from the URL validator) to many dealers in one write.
+// updates maps dealer ID -> fields; unknown IDs are ignored. expected optionally maps dealer
+// ID -> fields whose current values must still match, or that dealer is skipped.
+// Resolves to { updated, skipped } where skipped lists the IDs left alone.
+function applyDealerUpdates(updates, expected = {}) {
+  return updateDealerFile(dealers => {
+    let updated = 0;
+    const skipped = [];
+    for (const dealer of dealers) {
+      if (!updates[dealer.id]) continue;
+      // The dealer was edited since the caller read it: its update was based on old values
+      const stale = Object.entries(expected[dealer.id] || {}).some(([field, value]) => dealer[field] !== value);
+      if (stale) {
+        skipped.push(dealer.id);
+        continue;
+      }
+      Object.assign(dealer, updates[dealer.id], { id: dealer.id });
+      updated++;
+    }
+    return { updated, skipped };
+  });
+}
+
+// Persists IDs assigned by readDealers (used once at startup for files that predate the ID column)
+function saveAssignedIds() {
+  return updateDealerFile(() => null);
+}
+
+module.exports = {
+  DEALER_CSV_PATH,
+  DEALER_CSV_COLUMNS,
+  readDealers,
+  validateDealer,
+  createDealer,
+  updateDealer,
+  deleteDealer,
+  applyDealerUpdates,
+  saveAssignedIds
+};
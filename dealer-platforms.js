@@ -0,0 +1,352 @@
+// Dealer-website platform fingerprints and per-platform extraction profiles.
+// Field selectors may end in "@attr" to read an attribute instead of text;
+// a bare "@attr" reads the attribute from the vehicle container itself.
+// Fields a profile doesn't list fall back to the generic selectors.
+
+// Common patterns for finding inventory pages, one set per condition.
+// A null condition is a mixed listing; the link itself decides which condition it serves.
+const INVENTORY_PATTERNS = [
+  { path: '/new-vehicles', keywords: ['new', 'inventory', 'vehicles'], score: 10, condition: 'new' },
+  { path: '/inventory/new', keywords: ['new', 'inventory'], score: 9, condition: 'new' },
+  { path: '/new-inventory', keywords: ['new', 'inventory'], score: 9, condition: 'new' },
+  { path: '/vehicles/new', keywords: ['vehicles', 'new'], score: 8, condition: 'new' },
+  { path: '/new', keywords: ['new'], score: 6, condition: 'new' },
+  { path: '/certified-pre-owned', keywords: ['certified'], score: 10, condition: 'certified' },
+  { path: '/inventory/certified', keywords: ['certified'], score: 9, condition: 'certified' },
+  { path: '/certified', keywords: ['certified'], score: 7, condition: 'certified' },
+  { path: '/used-vehicles', keywords: ['used', 'pre-owned'], score: 10, condition: 'used' },
+  { path: '/inventory/used', keywords: ['used', 'pre-owned'], score: 9, condition: 'used' },
+  { path: '/used-inventory', keywords: ['used', 'pre-owned'], score: 9, condition: 'used' },
+  { path: '/pre-owned', keywords: ['pre-owned', 'used'], score: 8, condition: 'used' },
+  { path: '/used', keywords: ['used'], score: 6, condition: 'used' },
+  { path: '/inventory', keywords: ['inventory'], score: 7, condition: null },
+  { path: '/showroom', keywords: ['showroom', 'new'], score: 5, condition: 'new' },
+  { path: '/browse', keywords: ['browse', 'vehicles'], score: 4, condition: null }
+];
+
+// Vehicle data selectors
+const VEHICLE_SELECTORS = {
+  container: [
+    '.vehicle-card', '.inventory-item', '.car-item', '.vehicle-listing',
+    '.product-item', '.vehicle-tile', '.inventory-card', '[data-vehicle]',
+    '.vehicle', '.car', '.auto', '.listing'
+  ],
+  make: [
+    '.make', '.vehicle-make', '[data-make]', '.manufacturer',
+    'h2', 'h3', '.title', '.vehicle-title', '.brand'
+  ],
+  model: [
+    '.model', '.vehicle-model', '[data-model]', '.vehicle-name',
+    '.car-model', '.product-name', '.vehicle-title'
+  ],
+  year: [
+    '.year', '.vehicle-year', '[data-year]', '.model-year'
+  ],
+  price: [
+    '.price', '.vehicle-price', '[data-price]', '.cost', '.msrp',
+    '.pricing', '.amount', '.currency', '.vehicle-cost'
+  ],
+  stock: [
+    '.stock-number', '.stock-no', '.stock', '[data-stock]@data-stock',
+    '.vehicle-id', '.inventory-id'
+  ],
+  vin: [
+    '.vin', '.vehicle-vin', '[data-vin]@data-vin', '[data-vin]'
+  ],
+  trim: [
+    '.trim', '.vehicle-trim', '[data-trim]', '.grade', '.variant',
+    '.package', '.level'
+  ],
+  odometerKm: [
+    '.odometer', '.mileage', '.vehicle-mileage', '.kilometres', '.kms',
+    '[data-odometer]@data-odometer', '[data-mileage]@data-mileage',
+    '@data-odometer', '@data-mileage'
+  ],
+  condition: [
+    '@data-condition', '[data-condition]@data-condition', '.condition',
+    '.vehicle-condition', '.certified-badge', '.cpo-badge'
+  ]
+};
+
+const GENERIC_PROFILE = {
+  id: 'generic',
+  name: 'Generic',
+  fingerprints: { generator: [], scriptHosts: [], dom: [] },
+  inventoryPatterns: INVENTORY_PATTERNS,
+  selectors: VEHICLE_SELECTORS
+};
+
+const PLATFORM_PROFILES = [
+  {
+    id: 'd2c-media',
+    name: 'D2C Media',
+    fingerprints: {
+      generator: [/d2c\s*media/i],
+      scriptHosts: ['d2cmedia.ca', 'd2cmedia.com'],
+      dom: ['[class*="d2c"]', '.carBoxWrapper', '#divInventoryList']
+    },
+    inventoryPatterns: [
+      { path: '/new/inventory/search.html', keywords: ['new', 'inventory'], score: 12, condition: 'new' },
+      { path: '/new/search.html', keywords: ['new', 'inventory'], score: 11, condition: 'new' },
+      { path: '/new/inventory', keywords: ['new', 'inventory'], score: 10, condition: 'new' },
+      { path: '/used/inventory/search.html', keywords: ['used', 'inventory'], score: 12, condition: 'used' },
+      { path: '/used/search.html', keywords: ['used', 'inventory'], score: 11, condition: 'used' },
+      { path: '/certified/search.html', keywords: ['certified'], score: 11, condition: 'certified' }
+    ],
+    selectors: {
+      container: ['.carBoxWrapper', '.carBox', '.inventoryListItem'],
+      make: ['@data-make', '.carMake', '.divMake'],
+      model: ['@data-model', '.carModel', '.divModel', '.carName'],
+      year: ['@data-year', '.carYear', '.divYear'],
+      price: ['@data-price', '.carPrice .price', '.divPrice', '.carPrice'],
+      stock: ['@data-stock', '.carStock', '.stockNumber', '.divStock'],
+      vin: ['@data-vin', '[data-vin]@data-vin', '.vin', '.vehicle-vin'],
+      trim: ['@data-trim', '.carTrim', '.divTrim']
+    }
+  },
+  {
+    id: 'dealer-com',
+    name: 'Dealer.com',
+    fingerprints: {
+      generator: [/dealer\.com/i],
+      scriptHosts: ['static.dealer.com', 'pictures.dealer.com', 'dealer.com'],
+      dom: ['[data-widget-name]', '.ddc-wrapper', '.ddc-page']
+    },
+    inventoryPatterns: [
+      { path: '/new-inventory/index.htm', keywords: ['new', 'inventory'], score: 12, condition: 'new' },
+      { path: '/new-inventory', keywords: ['new', 'inventory'], score: 10, condition: 'new' },
+      { path: '/used-inventory/index.htm', keywords: ['used', 'inventory'], score: 12, condition: 'used' },
+      { path: '/certified-inventory/index.htm', keywords: ['certified'], score: 12, condition: 'certified' }
+    ],
+    selectors: {
+      container: ['li.vehicle-card', '.vehicle-card', '[data-uuid][data-make]', '.inventory-listing'],
+      make: ['@data-make', '.vehicle-card-title'],
+      model: ['@data-model', '.vehicle-card-title'],
+      year: ['@data-year', '.vehicle-card-title'],
+      price: ['.price-value', '.final-price .price-value', '.pricing-detail .price'],
+      stock: ['@data-stocknum', '.stock-number', '[data-stocknum]@data-stocknum'],
+      vin: ['@data-vin', '[data-vin]@data-vin', '.vin', '.vehicle-vin'],
+      trim: ['@data-trim', '.vehicle-card-subtitle']
+    }
+  },
+  {
+    id: 'edealer',
+    name: 'eDealer',
+    fingerprints: {
+      generator: [/edealer/i],
+      scriptHosts: ['edealer.ca', 'edealer.com'],
+      dom: ['.edealer', '[class*="edealer"]', '#vehicle-listing-app']
+    },
+    inventoryPatterns: [
+      { path: '/new/', keywords: ['new', 'inventory'], score: 11, condition: 'new' },
+      { path: '/new-inventory', keywords: ['new', 'inventory'], score: 10, condition: 'new' },
+      { path: '/used/', keywords: ['used', 'inventory'], score: 11, condition: 'used' },
+      { path: '/certified/', keywords: ['certified'], score: 11, condition: 'certified' }
+    ],
+    selectors: {
+      container: ['.vehicle-list-item', '.vehicle-item', '.srp-vehicle'],
+      make: ['@data-make', '.vehicle-make', '.vehicle-title .make'],
+      model: ['@data-model', '.vehicle-model', '.vehicle-title .model'],
+      year: ['@data-year', '.vehicle-year', '.vehicle-title .year'],
+      price: ['.vehicle-price .value', '.vehicle-price', '.price'],
+      stock: ['@data-stock', '.vehicle-stock', '.stock-number'],
+      vin: ['@data-vin', '[data-vin]@data-vin', '.vin', '.vehicle-vin'],
+      trim: ['@data-trim', '.vehicle-trim', '.vehicle-title .trim']
+    }
+  },
+  {
+    id: 'convertus',
+    name: 'Convertus',
+    fingerprints: {
+      generator: [/convertus/i, /achilles/i],
+      scriptHosts: ['convertus.com', 'convertus.app'],
+      dom: ['[class*="convertus"]', '#vms-srp', '.vms-srp']
+    },
+    inventoryPatterns: [
+      { path: '/vehicles/new', keywords: ['new', 'vehicles'], score: 12, condition: 'new' },
+      { path: '/new-vehicles', keywords: ['new', 'vehicles'], score: 10, condition: 'new' },
+      { path: '/vehicles/used', keywords: ['used', 'vehicles'], score: 12, condition: 'used' },
+      { path: '/vehicles/certified', keywords: ['certified'], score: 12, condition: 'certified' }
+    ],
+    selectors: {
+      container: ['.vehicle-card', '.vms-srp-vehicle', '[data-vehicle-id]'],
+      make: ['@data-vehicle-make', '.vehicle-card__make', '.vehicle-card__title'],
+      model: ['@data-vehicle-model', '.vehicle-card__model', '.vehicle-card__title'],
+      year: ['@data-vehicle-year', '.vehicle-card__year', '.vehicle-card__title'],
+      price: ['.vehicle-card__price', '.price-block__price', '.price'],
+      stock: ['@data-vehicle-stock', '.vehicle-card__stock', '.stock-number'],
+      vin: ['@data-vin', '[data-vin]@data-vin', '.vin', '.vehicle-vin'],
+      trim: ['@data-vehicle-trim', '.vehicle-card__trim']
+    }
+  },
+  {
+    id: 'dealer-inspire',
+    name: 'Dealer Inspire',
+    fingerprints: {
+      generator: [/dealer\s*inspire/i],
+      scriptHosts: ['dealerinspire.com', 'dealerinspire.ca'],
+      dom: ['#di-srp', '.di-srp', '[class*="dealer-inspire"]', '.hit .vehicle-card']
+    },
+    inventoryPatterns: [
+      { path: '/new-vehicles/', keywords: ['new', 'vehicles'], score: 12, condition: 'new' },
+      { path: '/new-inventory', keywords: ['new', 'inventory'], score: 10, condition: 'new' },
+      { path: '/used-vehicles/', keywords: ['used', 'vehicles'], score: 12, condition: 'used' },
+      { path: '/certified-pre-owned/', keywords: ['certified'], score: 12, condition: 'certified' }
+    ],
+    selectors: {
+      container: ['.hit', '.vehicle-card', '.result-wrap'],
+      make: ['@data-make', '.result-title .make', '.vehicle-title'],
+      model: ['@data-model', '.result-title .model', '.vehicle-title'],
+      year: ['@data-year', '.result-title .year', '.vehicle-title'],
+      price: ['.pricing-item-price', '.price', '.final-price'],
+      stock: ['@data-stock', '.stock-number', '.vehicle-stock'],
+      vin: ['@data-vin', '[data-vin]@data-vin', '.vin', '.vehicle-vin'],
+      trim: ['@data-trim', '.result-title .trim', '.vehicle-trim']
+    }
+  },
+  {
+    id: 'dealer-fire',
+    name: 'DealerFire',
+    fingerprints: {
+      generator: [/dealerfire/i],
+      scriptHosts: ['dealerfire.com', 'dealersocket.com'],
+      dom: ['.vehicle-card-srp', '[class*="dealerfire"]']
+    },
+    inventoryPatterns: [
+      { path: '/inventory/new', keywords: ['new', 'inventory'], score: 12, condition: 'new' },
+      { path: '/new-cars-for-sale', keywords: ['new', 'cars'], score: 11, condition: 'new' },
+      { path: '/inventory/used', keywords: ['used', 'inventory'], score: 12, condition: 'used' },
+      { path: '/used-cars-for-sale', keywords: ['used', 'cars'], score: 11, condition: 'used' },
+      { path: '/inventory/certified', keywords: ['certified'], score: 12, condition: 'certified' }
+    ],
+    selectors: {
+      container: ['.vehicle-card-srp', '.vehicle-card', '.srp-list-item'],
+      make: ['@data-make', '.vehicle-title', '.title'],
+      model: ['@data-model', '.vehicle-title', '.title'],
+      year: ['@data-year', '.vehicle-title', '.title'],
+      price: ['.vehicle-price', '.price'],
+      stock: ['@data-stock', '.stock-number'],
+      vin: ['@data-vin', '[data-vin]@data-vin', '.vin', '.vehicle-vin'],
+      trim: ['@data-trim', '.vehicle-trim']
+    }
+  },
+  {
+    id: 'fox-dealer',
+    name: 'Fox Dealer',
+    fingerprints: {
+      generator: [/fox\s*dealer/i],
+      scriptHosts: ['foxdealer.com', 'foxdealersites.com'],
+      dom: ['.foxdealer', '[class*="fox-"]', '.fdi-srp']
+    },
+    inventoryPatterns: [
+      { path: '/new-vehicles/', keywords: ['new', 'vehicles'], score: 12, condition: 'new' },
+      { path: '/inventory/new-vehicles', keywords: ['new', 'inventory'], score: 11, condition: 'new' },
+      { path: '/used-vehicles/', keywords: ['used', 'vehicles'], score: 12, condition: 'used' },
+      { path: '/certified-pre-owned-vehicles/', keywords: ['certified'], score: 12, condition: 'certified' }
+    ],
+    selectors: {
+      container: ['.vehicle-listing', '.srp-vehicle-block', '.vehicle-card'],
+      make: ['@data-make', '.vehicle-title'],
+      model: ['@data-model', '.vehicle-title'],
+      year: ['@data-year', '.vehicle-title'],
+      price: ['.vehicle-price', '.price-value', '.price'],
+      stock: ['@data-stock', '.stock-number', '.stock'],
+      vin: ['@data-vin', '[data-vin]@data-vin', '.vin', '.vehicle-vin'],
+      trim: ['@data-trim', '.vehicle-trim']
+    }
+  },
+  {
+    id: 'cdk-global',
+    name: 'CDK Global (Sincro)',
+    fingerprints: {
+      generator: [/cobalt/i, /sincro/i, /cdk/i],
+      scriptHosts: ['cdkglobal.com', 'cobalt.com', 'sincrodigital.com', 'gmwebsites.com'],
+      dom: ['.ws-inv-listing', '[class*="cdk-"]', '#vehicleSearchResults']
+    },
+    inventoryPatterns: [
+      { path: '/VehicleSearchResults?search=new', keywords: ['new', 'vehicles'], score: 12, condition: 'new' },
+      { path: '/VehicleSearchResults', keywords: ['vehicles', 'search'], score: 10, condition: null },
+      { path: '/VehicleSearchResults?search=preowned', keywords: ['used', 'pre-owned'], score: 12, condition: 'used' },
+      { path: '/VehicleSearchResults?search=certified', keywords: ['certified'], score: 12, condition: 'certified' }
+    ],
+    selectors: {
+      container: ['.vehicle-card', '.ws-inv-listing .vehicle', '[data-vin]'],
+      make: ['@data-make', '.vehicle-card-title'],
+      model: ['@data-model', '.vehicle-card-title'],
+      year: ['@data-year', '.vehicle-card-title'],
+      price: ['.vehicle-card-price', '.price', '[data-price]@data-price'],
+      stock: ['@data-stock', '.stock-number'],
+      vin: ['@data-vin', '[data-vin]@data-vin', '.vin', '.vehicle-vin'],
+      trim: ['@data-trim', '.vehicle-card-trim']
+    }
+  }
+];
+
+function getPlatformProfile(platformId) {
+  return PLATFORM_PROFILES.find(profile => profile.id === platformId) || GENERIC_PROFILE;
+}
+
+function hostMatches(url, host) {
+  try {
+    const hostname = new URL(url, 'https://placeholder.invalid').hostname;
+    return hostname === host || hostname.endsWith('.' + host);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Scores each platform on generator meta tags, script/asset hosts and DOM
+// signatures. Returns the best match, or null when nothing is conclusive.
+function detectPlatform($) {
+  const generators = $('meta[name="generator" i]').map((i, el) => $(el).attr('content') || '').get();
+  const assetUrls = $('script[src], link[href], img[src]').map((i, el) => $(el).attr('src') || $(el).attr('href') || '').get();
+  const inlineScripts = $('script:not([src])').map((i, el) => $(el).html() || '').get().join('\n');
+
+  let best = null;
+
+  for (const profile of PLATFORM_PROFILES) {
+    const signals = [];
+    let score = 0;
+
+    for (const pattern of profile.fingerprints.generator) {
+      if (generators.some(generator => pattern.test(generator))) {
+        score += 5;
+        signals.push(`generator:${pattern.source}`);
+      }
+    }
+
+    for (const host of profile.fingerprints.scriptHosts) {
+      if (assetUrls.some(url => hostMatches(url, host)) || inlineScripts.includes(host)) {
+        score += 4;
+        signals.push(`host:${host}`);
+        break;
+      }
+    }
+
+    for (const selector of profile.fingerprints.dom) {
+      try {
+        if ($(selector).length > 0) {
+          score += 2;
+          signals.push(`dom:${selector}`);
+        }
+      } catch (e) {
+        // Unsupported selector in cheerio; ignore
+      }
+    }
+
+    if (score >= 4 && (!best || score > best.score)) {
+      best = { id: profile.id, name: profile.name, score, signals };
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  INVENTORY_PATTERNS,
+  VEHICLE_SELECTORS,
+  GENERIC_PROFILE,
+  PLATFORM_PROFILES,
+  getPlatformProfile,
+  detectPlatform
+};
@@ -0,0 +1,92 @@
+// Which dealers a scrape covers. Criteria combine with AND; values within one
+// criterion combine with OR. ids and names together form the explicit dealer list.
+const LIST_FIELDS = ['brands', 'cities', 'ids', 'names'];
+
+function selectionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Accepts arrays or comma-separated strings
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+// Validates a selection from a request body or query; throws a 400 error
+function parseDealerSelection(input = {}) {
+  const selection = {};
+
+  for (const field of LIST_FIELDS) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    const values = parseList(input[field]);
+    if (values.length > 0) selection[field] = values;
+  }
+
+  if (input.maxDealers !== undefined && input.maxDealers !== null && input.maxDealers !== '') {
+    const maxDealers = Number(input.maxDealers);
+    if (!Number.isInteger(maxDealers) || maxDealers <= 0) throw selectionError('maxDealers must be a positive integer');
+    selection.maxDealers = maxDealers;
+  }
+
+  if (parseBoolean(input.onlyFailed)) selection.onlyFailed = true;
+
+  if (input.notScrapedWithinHours !== undefined && input.notScrapedWithinHours !== null && input.notScrapedWithinHours !== '') {
+    const hours = Number(input.notScrapedWithinHours);
+    if (isNaN(hours) || hours <= 0) throw selectionError('notScrapedWithinHours must be a positive number');
+    selection.notScrapedWithinHours = hours;
+  }
+
+  return selection;
+}
+
+// "Chrysler" matches "Chrysler/Dodge/Jeep/Ram"
+function matchesBrand(dealer, brands) {
+  const brand = dealer.brand.toLowerCase().trim();
+  const parts = brand.split('/').map(part => part.trim());
+  return brands.some(wanted => brand === wanted.toLowerCase() || parts.includes(wanted.toLowerCase()));
+}
+
+// history is inventoryStore.getDealerScrapeHistory(): dealer ID -> { lastStatus, lastSuccessAt }.
+// onlyFailed keeps dealers whose latest attempt didn't succeed; notScrapedWithinHours keeps
+// dealers with no successful scrape in that window (including never scraped).
+function selectDealers(dealers, selection = {}, history = new Map(), now = new Date()) {
+  const ids = (selection.ids || []).map(id => id.toLowerCase());
+  const names = (selection.names || []).map(name => name.toLowerCase());
+  const cities = (selection.cities || []).map(city => city.toLowerCase());
+  const cutoff = selection.notScrapedWithinHours
+    ? new Date(now.getTime() - selection.notScrapedWithinHours * 60 * 60 * 1000).toISOString()
+    : null;
+
+  const selected = dealers.filter(dealer => {
+    if (selection.brands && !matchesBrand(dealer, selection.brands)) return false;
+    if (cities.length > 0 && !cities.includes((dealer.city || '').toLowerCase().trim())) return false;
+    if ((ids.length > 0 || names.length > 0) &&
+        !ids.includes((dealer.id || '').toLowerCase()) && !names.includes(dealer.name.toLowerCase().trim())) {
+      return false;
+    }
+
+    const past = history.get(dealer.id) || history.get(dealer.name);
+    if (selection.onlyFailed && (!past || past.lastStatus === 'success')) return false;
+    if (cutoff && past && past.lastSuccessAt && past.lastSuccessAt >= cutoff) return false;
+    return true;
+  });
+
+  return selection.maxDealers ? selected.slice(0, selection.maxDealers) : selected;
+}
+
+// Whether the selection needs scrape history to be evaluated
+function needsHistory(selection) {
+  return Boolean(selection.onlyFailed || selection.notScrapedWithinHours);
+}
+
+module.exports = {
+  parseDealerSelection,
+  selectDealers,
+  needsHistory
+};
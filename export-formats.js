@@ -0,0 +1,169 @@
+const ExcelJS = require('exceljs');
+const { escapeCSV } = require('./csv-utils');
+const { parsePriceValue } = require('./inventory-changes');
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  geojson: { extension: 'geojson', contentType: 'application/geo+json; charset=utf-8' }
+};
+
+// stock.csv columns; new columns go at the end so older files still parse.
+// "numeric" columns are written as numbers in spreadsheets.
+const STOCK_COLUMNS = [
+  { header: 'Dealer', field: 'dealer' },
+  { header: 'Brand', field: 'brand' },
+  { header: 'City', field: 'city' },
+  { header: 'Make', field: 'make' },
+  { header: 'Model', field: 'model' },
+  { header: 'Year', field: 'year', numeric: true },
+  { header: 'Trim', field: 'trim' },
+  { header: 'Price', field: 'price', numeric: true },
+  { header: 'Stock', field: 'stock' },
+  { header: 'Scraped At', field: 'scrapedAt' },
+  { header: 'Source URL', field: 'sourceUrl' },
+  { header: 'VIN', field: 'vin' },
+  { header: 'Odometer (km)', field: 'odometerKm', numeric: true },
+  { header: 'Detail URL', field: 'detailUrl' },
+  { header: 'Extraction Method', field: 'extractionMethod' },
+  { header: 'VIN Status', field: 'vinStatus' },
+  { header: 'VIN Manufacturer', field: 'vinManufacturer' },
+  { header: 'Plant Code', field: 'plantCode' },
+  { header: 'VIN Conflicts', field: 'vinConflicts' },
+  { header: 'Condition', field: 'condition' },
+  { header: 'Price Type', field: 'priceType' },
+  { header: 'Price Text', field: 'priceText' },
+  { header: 'MSRP', field: 'msrp', numeric: true },
+  { header: 'Sale Price', field: 'salePrice', numeric: true },
+  { header: 'Internet Price', field: 'internetPrice', numeric: true },
+  { header: 'Payment', field: 'paymentAmount', numeric: true },
+  { header: 'Payment Frequency', field: 'paymentFrequency' },
+  { header: 'Payment Term (months)', field: 'paymentTermMonths', numeric: true },
+  { header: 'Payment Rate (%)', field: 'paymentRate', numeric: true },
+  { header: 'Payment Type', field: 'paymentType' },
+  { header: 'Drivetrain', field: 'drivetrain' },
+  { header: 'Raw Title', field: 'rawTitle' },
+  { header: 'Catalog Confidence', field: 'catalogConfidence', numeric: true },
+  { header: 'Listings', field: 'listingCount', numeric: true },
+  { header: 'Listed At', field: 'listedAt' },
+  { header: 'Duplicate Match', field: 'dedupeMatch' },
+  { header: 'Dealer ID', field: 'dealerId' }
+];
+
+const DEALER_COLUMNS = [
+  { header: 'ID', field: 'id' },
+  { header: 'Brand', field: 'brand' },
+  { header: 'Dealer Name', field: 'name' },
+  { header: 'Address', field: 'address' },
+  { header: 'City', field: 'city' },
+  { header: 'Postal Code', field: 'postalCode' },
+  { header: 'Phone', field: 'phone' },
+  { header: 'Website', field: 'website' },
+  { header: 'Validation Status', field: 'validationStatus' },
+  { header: 'Last Checked', field: 'lastChecked' },
+  { header: 'Platform', field: 'platform' },
+  { header: 'Latitude', field: 'latitude', numeric: true },
+  { header: 'Longitude', field: 'longitude', numeric: true }
+];
+
+// Scraped text starting with one of these would run as a formula when Excel opens the file
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Prefixes such text with ' so spreadsheets show it as text; numbers are left alone
+function neutralizeFormula(value, column) {
+  if (typeof value !== 'string' || !FORMULA_PREFIX.test(value)) return value;
+  if (column.numeric && value.trim() !== '' && !isNaN(Number(value))) return value;
+  return "'" + value;
+}
+
+// spreadsheetSafe is set for files handed to people (exports), not for stock.csv and the
+// dealer CSV, which are read back by this app
+function toCSV(rows, columns, spreadsheetSafe = false) {
+  let content = columns.map(column => column.header).join(',') + '\n';
+  rows.forEach(row => {
+    content += columns.map(column => {
+      const value = row[column.field];
+      return escapeCSV(spreadsheetSafe ? neutralizeFormula(value, column) : value);
+    }).join(',') + '\n';
+  });
+  return content;
+}
+
+function toNDJSON(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+function spreadsheetValue(value, column) {
+  if (value === null || value === undefined || value === '') return null;
+  if (!column.numeric) return value;
+  const number = column.field === 'price' ? parsePriceValue(value) : Number(value);
+  return number === null || isNaN(number) ? value : number;
+}
+
+async function toXLSX(rows, columns, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.field,
+    width: Math.max(12, column.header.length + 2)
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  rows.forEach(row => {
+    const values = {};
+    columns.forEach(column => {
+      values[column.field] = neutralizeFormula(spreadsheetValue(row[column.field], column), column);
+    });
+    sheet.addRow(values);
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// Points for every row that resolves to coordinates; rows without a location are left out
+function toGeoJSON(rows, locate = row => row) {
+  const features = [];
+  for (const row of rows) {
+    const location = locate(row);
+    if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') continue;
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+      properties: row
+    });
+  }
+  return JSON.stringify({ type: 'FeatureCollection', features });
+}
+
+// Renders rows in the requested format; resolves to a string or Buffer
+async function renderExport(format, rows, options) {
+  switch (format) {
+    case 'csv':
+      // The BOM makes Excel read the file as UTF-8 (accented dealer and city names)
+      return '\uFEFF' + toCSV(rows, options.columns, true);
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+    case 'ndjson':
+      return toNDJSON(rows);
+    case 'xlsx':
+      return toXLSX(rows, options.columns, options.sheetName);
+    case 'geojson':
+      return toGeoJSON(rows, options.locate);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  STOCK_COLUMNS,
+  DEALER_COLUMNS,
+  toCSV,
+  renderExport
+};
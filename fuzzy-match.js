@@ -0,0 +1,39 @@
+// Lowercase, accents and punctuation stripped, whitespace collapsed
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const compact = normalizeText(text).replace(/\s+/g, '');
+  const counts = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return { counts, size: Math.max(0, compact.length - 1) };
+}
+
+// Sørensen–Dice coefficient on character bigrams: 1 for identical strings, 0 for nothing in common
+function diceCoefficient(a, b) {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (left.size === 0 || right.size === 0) {
+    return normalizeText(a) === normalizeText(b) && left.size === right.size ? 1 : 0;
+  }
+
+  let overlap = 0;
+  for (const [pair, count] of left.counts) {
+    overlap += Math.min(count, right.counts.get(pair) || 0);
+  }
+  return (2 * overlap) / (left.size + right.size);
+}
+
+module.exports = {
+  normalizeText,
+  diceCoefficient
+};
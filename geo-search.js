@@ -0,0 +1,165 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCSVLine } = require('./csv-utils');
+
+const FSA_CENTROIDS_PATH = path.join(__dirname, 'Data', 'fsa_centroids.csv');
+const EARTH_RADIUS_KM = 6371;
+
+// Fallback for dealers whose address has no postal code
+const CITY_CENTROIDS = {
+  'toronto': { latitude: 43.6532, longitude: -79.3832 },
+  'north york': { latitude: 43.7615, longitude: -79.4111 },
+  'scarborough': { latitude: 43.7731, longitude: -79.2578 },
+  'etobicoke': { latitude: 43.6543, longitude: -79.5670 },
+  'east york': { latitude: 43.6910, longitude: -79.3277 },
+  'mississauga': { latitude: 43.5890, longitude: -79.6441 },
+  'brampton': { latitude: 43.7315, longitude: -79.7624 },
+  'markham': { latitude: 43.8561, longitude: -79.3370 },
+  'unionville': { latitude: 43.8681, longitude: -79.3140 },
+  'richmond hill': { latitude: 43.8828, longitude: -79.4403 },
+  'vaughan': { latitude: 43.8372, longitude: -79.5083 },
+  'woodbridge': { latitude: 43.7810, longitude: -79.6000 },
+  'maple': { latitude: 43.8580, longitude: -79.5100 },
+  'concord': { latitude: 43.8000, longitude: -79.4830 },
+  'thornhill': { latitude: 43.8150, longitude: -79.4240 },
+  'newmarket': { latitude: 44.0592, longitude: -79.4613 },
+  'aurora': { latitude: 44.0065, longitude: -79.4504 },
+  'stouffville': { latitude: 43.9706, longitude: -79.2500 },
+  'oakville': { latitude: 43.4675, longitude: -79.6877 },
+  'milton': { latitude: 43.5183, longitude: -79.8774 },
+  'pickering': { latitude: 43.8384, longitude: -79.0868 },
+  'ajax': { latitude: 43.8509, longitude: -79.0204 },
+  'whitby': { latitude: 43.8975, longitude: -78.9429 },
+  'oshawa': { latitude: 43.8971, longitude: -78.8658 },
+  'bolton': { latitude: 43.8760, longitude: -79.7350 }
+};
+
+const POSTAL_CODE_REGEX = /\b([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])\s?(\d[ABCEGHJ-NPRSTV-Z]\d)\b/i;
+
+let fsaCentroids = new Map();
+
+async function loadFSACentroids() {
+  try {
+    const content = await fs.readFile(FSA_CENTROIDS_PATH, 'utf8');
+    const lines = content.split('\n').filter(line => line.trim());
+
+    fsaCentroids = new Map();
+    for (let i = 1; i < lines.length; i++) {
+      const [fsa, place, latitude, longitude] = parseCSVLine(lines[i]);
+      const lat = parseFloat(latitude);
+      const lng = parseFloat(longitude);
+      if (fsa && !isNaN(lat) && !isNaN(lng)) {
+        fsaCentroids.set(fsa.toUpperCase(), { place, latitude: lat, longitude: lng });
+      }
+    }
+
+    console.log(`✅ Loaded ${fsaCentroids.size} FSA centroids`);
+  } catch (error) {
+    console.error('❌ Error loading FSA centroids:', error);
+  }
+  return fsaCentroids;
+}
+
+// Returns a normalized "A1A 1A1" postal code, or '' if none is found
+function extractPostalCode(text) {
+  if (!text) return '';
+  const match = String(text).match(POSTAL_CODE_REGEX);
+  return match ? `${match[1]} ${match[2]}`.toUpperCase() : '';
+}
+
+// Accepts a full postal code or just the 3-character FSA
+function extractFSA(text) {
+  if (!text) return '';
+  const postalCode = extractPostalCode(text);
+  if (postalCode) return postalCode.substring(0, 3);
+
+  const trimmed = String(text).trim().toUpperCase();
+  return /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]$/.test(trimmed) ? trimmed : '';
+}
+
+function geocodePostalCode(postalCode) {
+  const fsa = extractFSA(postalCode);
+  const centroid = fsa ? fsaCentroids.get(fsa) : null;
+  if (!centroid) return null;
+
+  return {
+    latitude: centroid.latitude,
+    longitude: centroid.longitude,
+    fsa: fsa,
+    place: centroid.place
+  };
+}
+
+function geocodeDealer(dealer) {
+  const postalCode = extractPostalCode(dealer.address);
+  const fromPostalCode = postalCode ? geocodePostalCode(postalCode) : null;
+
+  if (fromPostalCode) {
+    return {
+      postalCode,
+      latitude: fromPostalCode.latitude,
+      longitude: fromPostalCode.longitude,
+      geoSource: 'fsa'
+    };
+  }
+
+  const city = CITY_CENTROIDS[(dealer.city || '').trim().toLowerCase()];
+  if (city) {
+    return {
+      postalCode,
+      latitude: city.latitude,
+      longitude: city.longitude,
+      geoSource: 'city'
+    };
+  }
+
+  return { postalCode, latitude: null, longitude: null, geoSource: '' };
+}
+
+function geocodeDealers(dealers) {
+  let located = 0;
+  for (const dealer of dealers) {
+    Object.assign(dealer, geocodeDealer(dealer));
+    if (dealer.latitude !== null) located++;
+  }
+  console.log(`📍 Geocoded ${located}/${dealers.length} dealers`);
+  return dealers;
+}
+
+function haversineDistance(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function searchByPostalCode(dealers, postalCode, radiusKm) {
+  const origin = geocodePostalCode(postalCode);
+  if (!origin) {
+    throw new Error(`Unknown postal code area: ${postalCode}`);
+  }
+
+  const results = dealers
+    .filter(dealer => dealer.latitude !== null && dealer.latitude !== undefined)
+    .map(dealer => ({
+      ...dealer,
+      distanceKm: Math.round(haversineDistance(origin, dealer) * 10) / 10
+    }))
+    .filter(dealer => !radiusKm || dealer.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+
+  return { origin, results };
+}
+
+module.exports = {
+  loadFSACentroids,
+  extractPostalCode,
+  extractFSA,
+  geocodePostalCode,
+  geocodeDealer,
+  geocodeDealers,
+  haversineDistance,
+  searchByPostalCode
+};
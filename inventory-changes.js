@@ -0,0 +1,118 @@
+const { vehicleIdentity } = require('./vehicle-identity');
+
+function parsePriceValue(price) {
+  const amount = parseFloat(String(price || '').replace(/[^\d.]/g, ''));
+  return isNaN(amount) || amount <= 0 ? null : amount;
+}
+
+function summarizeVehicle(vehicle) {
+  return {
+    year: vehicle.year,
+    make: vehicle.make,
+    model: vehicle.model,
+    trim: vehicle.trim,
+    price: vehicle.price,
+    vin: vehicle.vin,
+    stock: vehicle.stock,
+    condition: vehicle.condition || 'new',
+    detailUrl: vehicle.detailUrl,
+    sourceUrl: vehicle.sourceUrl
+  };
+}
+
+function groupByIdentity(vehicles) {
+  const groups = new Map();
+  for (const vehicle of vehicles) {
+    const { key } = vehicleIdentity(vehicle);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(vehicle);
+  }
+  return groups;
+}
+
+// Diffs one dealer's previous and current vehicles. Identical fingerprint-only
+// units are matched by count, so two equal cars becoming one is one removal.
+function diffDealerInventory(previousVehicles, currentVehicles) {
+  const previous = groupByIdentity(previousVehicles);
+  const current = groupByIdentity(currentVehicles);
+  const changes = [];
+
+  for (const [identity, vehicles] of current) {
+    const before = previous.get(identity) || [];
+
+    vehicles.slice(before.length).forEach(vehicle => {
+      changes.push({ type: 'added', identity, vehicle });
+    });
+
+    vehicles.slice(0, before.length).forEach((vehicle, index) => {
+      const oldPrice = parsePriceValue(before[index].price);
+      const newPrice = parsePriceValue(vehicle.price);
+      if (oldPrice !== null && newPrice !== null && oldPrice !== newPrice) {
+        changes.push({
+          type: 'price_changed',
+          identity,
+          vehicle,
+          previousPrice: oldPrice,
+          price: newPrice,
+          priceDelta: newPrice - oldPrice
+        });
+      }
+    });
+  }
+
+  for (const [identity, vehicles] of previous) {
+    const after = current.get(identity) || [];
+    vehicles.slice(after.length).forEach(vehicle => {
+      changes.push({ type: 'removed', identity, vehicle });
+    });
+  }
+
+  return changes;
+}
+
+// Builds change records for every dealer scraped in this run that also has an earlier snapshot
+function buildChangeRecords(runId, dealerDiffs) {
+  const detectedAt = new Date().toISOString();
+  const records = [];
+
+  for (const { dealer, dealerId, brand, city, previousRunId, changes } of dealerDiffs) {
+    for (const change of changes) {
+      records.push({
+        runId,
+        previousRunId,
+        detectedAt,
+        dealer,
+        dealerId,
+        brand,
+        city,
+        ...change,
+        vehicle: summarizeVehicle(change.vehicle)
+      });
+    }
+  }
+
+  return records;
+}
+
+// Accepts an ISO date or a relative window like "24h", "7d" or "30m"
+function parseSince(since, defaultHours = 24) {
+  if (!since) {
+    return new Date(Date.now() - defaultHours * 3600 * 1000);
+  }
+
+  const relative = String(since).trim().match(/^(\d+)\s*([mhd])$/i);
+  if (relative) {
+    const unitMs = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 }[relative[2].toLowerCase()];
+    return new Date(Date.now() - parseInt(relative[1], 10) * unitMs);
+  }
+
+  const date = new Date(since);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  diffDealerInventory,
+  buildChangeRecords,
+  parseSince,
+  parsePriceValue
+};
@@ -0,0 +1,202 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { CONDITIONS } = require('./vehicle-condition');
+
+// Per-dealer inventory pages, keyed by dealer id:
+//   pages   pages that scraped successfully, as found by discovery
+//           ({ condition, url, confidence, pattern, source, discoveredAt, verifiedAt })
+//   pinned  hand-verified pages ({ condition, url, pinnedAt }); discovery never replaces these
+// Cached pages are reused until one stops working, so a dealer's homepage is only
+// crawled again when its inventory has moved.
+const PAGES_PATH = path.join(process.env.INVENTORY_STORE_DIR || path.join(__dirname, 'store'), 'inventory-pages.json');
+
+let entriesPromise = null;
+let saveQueue = Promise.resolve();
+
+function pagesError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function loadEntries() {
+  if (!entriesPromise) {
+    entriesPromise = fs.readFile(PAGES_PATH, 'utf8')
+      .then(text => new Map(Object.entries(JSON.parse(text).dealers || {})))
+      .catch(error => {
+        if (error.code !== 'ENOENT') console.error('❌ Could not read inventory page cache:', error.message);
+        return new Map();
+      });
+  }
+  return entriesPromise;
+}
+
+function save(entries) {
+  const snapshot = JSON.stringify({ dealers: Object.fromEntries(entries) }, null, 2);
+  saveQueue = saveQueue.then(async () => {
+    await fs.mkdir(path.dirname(PAGES_PATH), { recursive: true });
+    const tmpPath = `${PAGES_PATH}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, snapshot, 'utf8');
+    await fs.rename(tmpPath, PAGES_PATH);
+  }).catch(error => console.error('❌ Could not save inventory page cache:', error.message));
+  return saveQueue;
+}
+
+function emptyEntry(dealer) {
+  return {
+    dealerId: dealer.id,
+    dealer: dealer.name,
+    website: dealer.website,
+    platform: null,
+    pages: [],
+    pinned: [],
+    discoveredAt: null,
+    updatedAt: null
+  };
+}
+
+async function getEntry(dealer, create) {
+  const entries = await loadEntries();
+  let entry = entries.get(dealer.id);
+
+  // Discovered pages belong to the old site once the website changes; pins are kept
+  if (entry && entry.website !== dealer.website) {
+    entry.website = dealer.website;
+    entry.platform = null;
+    entry.pages = [];
+    entry.discoveredAt = null;
+  }
+  if (!entry && create) {
+    entry = emptyEntry(dealer);
+    entries.set(dealer.id, entry);
+  }
+  return { entries, entry };
+}
+
+// The dealer's cached entry, or null if it has never been discovered or pinned
+async function getInventoryPages(dealer) {
+  const { entry } = await getEntry(dealer, false);
+  return entry ? { ...entry, pages: [...entry.pages], pinned: [...entry.pinned] } : null;
+}
+
+async function listInventoryPages() {
+  const entries = await loadEntries();
+  return [...entries.values()];
+}
+
+// Replaces the cached pages with the ones that just worked, plus kept: cached pages that
+// couldn't be reached this time and keep their old verifiedAt. discovered is true when
+// pages came from a fresh homepage crawl. Nothing left clears the cache so the next
+// scrape discovers again.
+async function saveVerifiedPages(dealer, { platform, pages, kept = [], discovered }) {
+  const { entries, entry } = await getEntry(dealer, true);
+  const now = new Date().toISOString();
+
+  // Pages hidden behind a pin weren't tried, so they are kept for when the pin is removed
+  const pinnedConditions = entry.pinned.map(pin => pin.condition);
+  const shadowed = entry.pages.filter(page => pinnedConditions.includes(page.condition));
+
+  entry.dealer = dealer.name;
+  entry.platform = platform || entry.platform;
+  const tried = [...pages, ...kept];
+  entry.pages = tried
+    .filter(page => page.source !== 'pinned')
+    .map(page => ({
+      condition: page.condition,
+      url: page.url,
+      confidence: page.confidence,
+      pattern: page.pattern,
+      source: page.source,
+      discoveredAt: page.discoveredAt || now,
+      verifiedAt: kept.includes(page) ? page.verifiedAt : now
+    }))
+    .concat(shadowed.filter(page => !tried.some(other => other.url === page.url)))
+    .sort((a, b) => CONDITIONS.indexOf(a.condition) - CONDITIONS.indexOf(b.condition));
+  if (discovered) entry.discoveredAt = now;
+  entry.updatedAt = now;
+
+  await save(entries);
+  return entry;
+}
+
+function validatePin(url, condition) {
+  if (!CONDITIONS.includes(condition)) {
+    throw pagesError(400, `condition must be one of: ${CONDITIONS.join(', ')}`);
+  }
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (error) {
+    throw pagesError(400, 'url must be an absolute http(s) URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw pagesError(400, 'url must be an absolute http(s) URL');
+  }
+  return parsed.href;
+}
+
+// Pins a hand-verified inventory page for one condition, replacing any earlier pin for it
+async function pinInventoryPage(dealer, { url, condition = 'new' }) {
+  const href = validatePin(url, condition);
+  const { entries, entry } = await getEntry(dealer, true);
+  const now = new Date().toISOString();
+
+  entry.pinned = entry.pinned.filter(pin => pin.condition !== condition);
+  entry.pinned.push({ condition, url: href, pinnedAt: now });
+  entry.pinned.sort((a, b) => CONDITIONS.indexOf(a.condition) - CONDITIONS.indexOf(b.condition));
+  entry.updatedAt = now;
+
+  await save(entries);
+  return entry;
+}
+
+// Removes the pin for one condition, or every pin when condition is omitted
+async function unpinInventoryPage(dealer, condition) {
+  if (condition && !CONDITIONS.includes(condition)) {
+    throw pagesError(400, `condition must be one of: ${CONDITIONS.join(', ')}`);
+  }
+  const { entries, entry } = await getEntry(dealer, false);
+  if (!entry || !entry.pinned.some(pin => !condition || pin.condition === condition)) {
+    throw pagesError(404, `No pinned ${condition ? condition + ' ' : ''}inventory page for ${dealer.name}`);
+  }
+
+  entry.pinned = condition ? entry.pinned.filter(pin => pin.condition !== condition) : [];
+  entry.updatedAt = new Date().toISOString();
+
+  await save(entries);
+  return entry;
+}
+
+// Forgets the discovered pages so the next scrape crawls the homepage again; pins stay
+async function clearDiscoveredPages(dealer) {
+  const { entries, entry } = await getEntry(dealer, false);
+  if (!entry) return null;
+
+  entry.pages = [];
+  entry.discoveredAt = null;
+  entry.updatedAt = new Date().toISOString();
+
+  await save(entries);
+  return entry;
+}
+
+// Pinned pages plus the discovered pages for every condition without a pin
+function mergePinnedPages(pages, pinned = []) {
+  const merged = pinned.map(pin => ({ ...pin, confidence: null, pattern: null, source: 'pinned' }));
+  for (const page of pages) {
+    if (merged.some(other => other.condition === page.condition || other.url === page.url)) continue;
+    merged.push(page);
+  }
+  return merged.sort((a, b) => CONDITIONS.indexOf(a.condition) - CONDITIONS.indexOf(b.condition));
+}
+
+module.exports = {
+  PAGES_PATH,
+  getInventoryPages,
+  listInventoryPages,
+  saveVerifiedPages,
+  pinInventoryPage,
+  unpinInventoryPage,
+  clearDiscoveredPages,
+  mergePinnedPages
+};
@@ -0,0 +1,324 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Append-only inventory store:
+//   store/runs.ndjson                 one line per run event (started, dealer, finished)
+//   store/observations/<runId>.ndjson one line per vehicle seen in that run
+//   store/changes.ndjson              added / removed / price_changed records between runs
+// Nothing is rewritten, so every earlier run stays queryable.
+const STORE_DIR = process.env.INVENTORY_STORE_DIR || path.join(__dirname, 'store');
+const RUNS_PATH = path.join(STORE_DIR, 'runs.ndjson');
+const OBSERVATIONS_DIR = path.join(STORE_DIR, 'observations');
+const CHANGES_PATH = path.join(STORE_DIR, 'changes.ndjson');
+// Observation files are only re-read to build a snapshot or a diff, so a few recent runs are enough
+const MAX_CACHED_RUNS = 8;
+
+let writeQueue = Promise.resolve();
+let runsCache = null;
+let snapshotCache = null;
+// Least recently used first: a hit is moved to the end and the oldest run is evicted past MAX_CACHED_RUNS
+const observationsCache = new Map();
+// The current dealers, set by setDealers: runs and vehicles are matched to dealers by ID, and
+// records from before dealer IDs by name
+let dealerDirectory = null;
+
+function enqueueWrite(task) {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+async function ensureStoreDirs() {
+  await fs.mkdir(OBSERVATIONS_DIR, { recursive: true });
+}
+
+function observationsPath(runId) {
+  if (!/^[\w-]+$/.test(runId)) {
+    throw new Error(`Invalid run id: ${runId}`);
+  }
+  return path.join(OBSERVATIONS_DIR, `${runId}.ndjson`);
+}
+
+async function readNDJSON(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // A run interrupted mid-write can leave a partial last line
+    }
+  }
+  return records;
+}
+
+function appendNDJSON(filePath, records) {
+  if (records.length === 0) return Promise.resolve();
+  return fs.appendFile(filePath, records.map(record => JSON.stringify(record)).join('\n') + '\n', 'utf8');
+}
+
+function invalidateCaches() {
+  runsCache = null;
+  snapshotCache = null;
+}
+
+// Called whenever the dealer list is (re)loaded, so renamed dealers keep their history
+// and deleted dealers drop out of the snapshot
+function setDealers(dealers) {
+  dealerDirectory = {
+    byId: new Map(dealers.map(dealer => [dealer.id, dealer])),
+    byName: new Map(dealers.map(dealer => [dealer.name, dealer]))
+  };
+  snapshotCache = null;
+}
+
+// The dealer ID a run result or vehicle belongs to, or null if that dealer no longer exists.
+// Without a dealer list (CLI use) records are keyed by whatever they carry.
+function dealerKeyOf(record) {
+  if (!dealerDirectory) return record.dealerId || record.dealer;
+  if (record.dealerId) return dealerDirectory.byId.has(record.dealerId) ? record.dealerId : null;
+  const dealer = dealerDirectory.byName.get(record.dealer);
+  return dealer ? dealer.id : null;
+}
+
+// Vehicles recorded under a dealer's old name are shown under its current one
+function withCurrentDealerName(vehicle, key) {
+  const dealer = dealerDirectory && dealerDirectory.byId.get(key);
+  return dealer && dealer.name !== vehicle.dealer ? { ...vehicle, dealer: dealer.name } : vehicle;
+}
+
+// Folds run events into run records, newest first
+async function listRuns() {
+  if (runsCache) return runsCache;
+
+  const runs = new Map();
+  for (const event of await readNDJSON(RUNS_PATH)) {
+    if (event.event === 'started') {
+      runs.set(event.runId, {
+        id: event.runId,
+        type: event.type,
+        options: event.options || {},
+        startedAt: event.at,
+        finishedAt: null,
+        status: 'incomplete',
+        totalVehicles: 0,
+        dealers: []
+      });
+    } else if (runs.has(event.runId)) {
+      const run = runs.get(event.runId);
+      if (event.event === 'dealer') {
+        run.dealers.push({ ...event.result, at: event.at });
+        run.totalVehicles += event.result.count || 0;
+      } else if (event.event === 'finished') {
+        run.finishedAt = event.at;
+        run.status = event.status;
+      }
+    }
+  }
+
+  runsCache = [...runs.values()].sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  return runsCache;
+}
+
+async function getRun(runId) {
+  const runs = await listRuns();
+  return runs.find(run => run.id === runId) || null;
+}
+
+async function getRunVehicles(runId) {
+  let vehicles = observationsCache.get(runId);
+  if (vehicles) {
+    observationsCache.delete(runId);
+  } else {
+    vehicles = await readNDJSON(observationsPath(runId));
+  }
+  observationsCache.set(runId, vehicles);
+  if (observationsCache.size > MAX_CACHED_RUNS) {
+    observationsCache.delete(observationsCache.keys().next().value);
+  }
+  return vehicles;
+}
+
+function startRun(type, options = {}) {
+  const at = new Date().toISOString();
+  const runId = 'run-' + at.replace(/[-:.TZ]/g, '') + '-' + Math.random().toString(36).slice(2, 6);
+
+  return enqueueWrite(async () => {
+    await ensureStoreDirs();
+    await appendNDJSON(RUNS_PATH, [{ event: 'started', runId, type, options, at }]);
+    invalidateCaches();
+    return runId;
+  });
+}
+
+// Stores one dealer's outcome; vehicles are written before the event that references them
+function recordDealerResult(runId, result, vehicles = []) {
+  const { vehicles: omitted, ...summary } = result;
+
+  return enqueueWrite(async () => {
+    await appendNDJSON(observationsPath(runId), vehicles.map(vehicle => ({ runId, ...vehicle })));
+    await appendNDJSON(RUNS_PATH, [{
+      event: 'dealer',
+      runId,
+      at: new Date().toISOString(),
+      result: { ...summary, count: vehicles.length }
+    }]);
+    observationsCache.delete(runId);
+    invalidateCaches();
+  });
+}
+
+function finishRun(runId, status = 'completed') {
+  return enqueueWrite(async () => {
+    await appendNDJSON(RUNS_PATH, [{ event: 'finished', runId, status, at: new Date().toISOString() }]);
+    invalidateCaches();
+  });
+}
+
+// Latest known stock: for every dealer, the vehicles from the most recent run
+// that scraped that dealer successfully. A partial run only replaces the
+// dealers it actually covered; dealers that have been deleted are left out.
+async function getLatestSnapshot() {
+  if (snapshotCache) return snapshotCache;
+
+  const runs = await listRuns();
+  const covered = new Map();
+
+  for (const run of runs) {
+    for (const result of run.dealers) {
+      const key = dealerKeyOf(result);
+      if (key && result.status === 'success' && !covered.has(key)) {
+        covered.set(key, run.id);
+      }
+    }
+  }
+
+  const vehicles = [];
+  const runIds = [...new Set(covered.values())];
+  for (const runId of runIds) {
+    for (const vehicle of await getRunVehicles(runId)) {
+      const key = dealerKeyOf(vehicle);
+      if (key && covered.get(key) === runId) {
+        vehicles.push(withCurrentDealerName(vehicle, key));
+      }
+    }
+  }
+
+  const lastUpdated = vehicles.reduce((latest, vehicle) =>
+    vehicle.scrapedAt && vehicle.scrapedAt > latest ? vehicle.scrapedAt : latest, '');
+
+  snapshotCache = {
+    vehicles,
+    lastUpdated: lastUpdated || null,
+    dealers: covered.size,
+    runIds
+  };
+  return snapshotCache;
+}
+
+// The dealer's vehicles from the latest successful run before (and excluding) runId.
+// dealer is a run result (or anything with dealerId and dealer name).
+async function getPreviousDealerVehicles(dealer, runId) {
+  const key = dealerKeyOf(dealer);
+  if (!key) return null;
+
+  const runs = await listRuns();
+  const current = runs.find(run => run.id === runId);
+
+  for (const run of runs) {
+    if (run.id === runId) continue;
+    if (current && run.startedAt > current.startedAt) continue;
+    if (!run.dealers.some(result => dealerKeyOf(result) === key && result.status === 'success')) continue;
+
+    const vehicles = (await getRunVehicles(run.id)).filter(vehicle => dealerKeyOf(vehicle) === key);
+    return { runId: run.id, vehicles };
+  }
+
+  return null;
+}
+
+// Latest scrape outcome per dealer ID: { lastStatus, lastAttemptAt, lastSuccessAt }.
+// Only real scrape runs count; a stock.csv import doesn't say when a dealer was scraped.
+async function getDealerScrapeHistory() {
+  const history = new Map();
+
+  for (const run of await listRuns()) {
+    if (run.type !== 'scrape') continue;
+    for (const result of run.dealers) {
+      const key = dealerKeyOf(result);
+      if (!key) continue;
+      const at = result.at || run.startedAt;
+      const entry = history.get(key) || { lastStatus: null, lastAttemptAt: null, lastSuccessAt: null };
+      if (!entry.lastAttemptAt || at > entry.lastAttemptAt) {
+        entry.lastAttemptAt = at;
+        entry.lastStatus = result.status;
+      }
+      if (result.status === 'success' && (!entry.lastSuccessAt || at > entry.lastSuccessAt)) {
+        entry.lastSuccessAt = at;
+      }
+      history.set(key, entry);
+    }
+  }
+
+  return history;
+}
+
+function recordChanges(records) {
+  return enqueueWrite(async () => {
+    await ensureStoreDirs();
+    await appendNDJSON(CHANGES_PATH, records);
+  });
+}
+
+async function listChanges(since) {
+  const changes = await readNDJSON(CHANGES_PATH);
+  const sinceIso = since ? since.toISOString() : '';
+  return changes
+    .filter(change => change.detectedAt >= sinceIso)
+    .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+}
+
+async function isEmpty() {
+  return (await listRuns()).length === 0;
+}
+
+// One-off migration of an existing stock.csv into the store as an "import" run
+async function importVehicles(vehicles, type = 'import') {
+  const runId = await startRun(type, { source: 'stock.csv' });
+  const byDealer = new Map();
+  for (const vehicle of vehicles) {
+    if (!byDealer.has(vehicle.dealer)) byDealer.set(vehicle.dealer, []);
+    byDealer.get(vehicle.dealer).push(vehicle);
+  }
+  for (const [dealer, dealerVehicles] of byDealer) {
+    await recordDealerResult(runId, { dealer, status: 'success' }, dealerVehicles);
+  }
+  await finishRun(runId, 'completed');
+  return runId;
+}
+
+module.exports = {
+  STORE_DIR,
+  setDealers,
+  startRun,
+  recordDealerResult,
+  finishRun,
+  listRuns,
+  getRun,
+  getRunVehicles,
+  getLatestSnapshot,
+  getPreviousDealerVehicles,
+  getDealerScrapeHistory,
+  recordChanges,
+  listChanges,
+  importVehicles,
+  isEmpty
+};
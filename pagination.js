@@ -0,0 +1,156 @@
+const PAGE_PARAMS = ['page', 'pg', 'p', 'pagenum', 'page_no', 'pageNumber', 'currentPage'];
+const LOAD_MORE_TEXT = /^(load|show|view|see)\s+more\b|more\s+(vehicles|results|inventory)/i;
+const NEXT_TEXT = /^(next|next page|suivant|›|»|>|→)$/i;
+
+function waitForSettle(page, idleTime = 800) {
+  return page.waitForNetworkIdle({ idleTime, timeout: 10000 }).catch(() => {});
+}
+
+function normalizePageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    return parsed.href.replace(/\/$/, '');
+  } catch (e) {
+    return url;
+  }
+}
+
+// Builds the URL for the following page when the current one carries ?page=N
+function incrementPageParam(currentUrl) {
+  try {
+    const parsed = new URL(currentUrl);
+    for (const param of PAGE_PARAMS) {
+      const value = parsed.searchParams.get(param);
+      if (value !== null && /^\d+$/.test(value)) {
+        parsed.searchParams.set(param, String(parseInt(value, 10) + 1));
+        return parsed.href;
+      }
+    }
+  } catch (e) {
+    // Fall through
+  }
+  return null;
+}
+
+// Looks for rel=next, "Next" pagination links and ?page=N+1 anchors
+async function findNextPageUrl(page, currentUrl, visitedUrls) {
+  const candidates = await page.evaluate((pageParams, nextSource) => {
+    const nextText = new RegExp(nextSource, 'i');
+    const found = [];
+
+    document.querySelectorAll('link[rel="next"], a[rel~="next"]').forEach(el => {
+      if (el.href) found.push(el.href);
+    });
+
+    document.querySelectorAll('a[href]').forEach(el => {
+      const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+      const label = el.getAttribute('aria-label') || el.getAttribute('title') || '';
+      const className = typeof el.className === 'string' ? el.className : '';
+      const inPager = el.closest('.pagination, .pager, .paging, nav, [class*="pagination"]');
+      if (nextText.test(text) || /next/i.test(label) || (inPager && /\bnext\b/i.test(className))) {
+        found.push(el.href);
+      }
+    });
+
+    // Numbered pager links: pick the one right after the current page
+    const current = new URL(window.location.href);
+    let currentNumber = 1;
+    for (const param of pageParams) {
+      const value = current.searchParams.get(param);
+      if (value && /^\d+$/.test(value)) currentNumber = parseInt(value, 10);
+    }
+    document.querySelectorAll('a[href]').forEach(el => {
+      try {
+        const url = new URL(el.href);
+        if (url.pathname !== current.pathname) return;
+        for (const param of pageParams) {
+          if (url.searchParams.get(param) === String(currentNumber + 1)) {
+            found.push(url.href);
+          }
+        }
+      } catch (e) {
+        // Ignore malformed hrefs
+      }
+    });
+
+    return found;
+  }, PAGE_PARAMS, NEXT_TEXT.source);
+
+  const incremented = incrementPageParam(currentUrl);
+  if (incremented) candidates.push(incremented);
+
+  const currentOrigin = new URL(currentUrl).origin;
+  for (const candidate of candidates) {
+    if (!candidate || candidate.startsWith('javascript:')) continue;
+    try {
+      if (new URL(candidate).origin !== currentOrigin) continue;
+    } catch (e) {
+      continue;
+    }
+    const normalized = normalizePageUrl(candidate);
+    if (normalized !== normalizePageUrl(currentUrl) && !visitedUrls.has(normalized)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+async function clickMatchingControl(page, source, allowLinks) {
+  return page.evaluate((textSource, includeLinks) => {
+    const matcher = new RegExp(textSource, 'i');
+    const selector = includeLinks ? 'button, [role="button"], a' : 'button, [role="button"]';
+    const controls = Array.from(document.querySelectorAll(selector));
+
+    const target = controls.find(el => {
+      const text = (el.textContent || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+      const style = window.getComputedStyle(el);
+      const visible = style.display !== 'none' && style.visibility !== 'hidden' && el.offsetParent !== null;
+      const href = el.getAttribute('href');
+      const navigates = href && href !== '#' && !href.startsWith('javascript:');
+      return visible && !el.disabled && !navigates && matcher.test(text);
+    });
+
+    if (!target) return false;
+    target.scrollIntoView({ block: 'center' });
+    target.click();
+    return true;
+  }, source, allowLinks);
+}
+
+// Client-side "Next" buttons that swap results without changing the URL
+async function clickNextButton(page) {
+  const clicked = await clickMatchingControl(page, NEXT_TEXT.source, false);
+  if (clicked) await waitForSettle(page);
+  return clicked;
+}
+
+// Tries a "load more" button, then infinite scroll. Returns true if the page grew.
+async function loadMoreInPlace(page) {
+  const measure = () => page.evaluate(() => ({
+    height: document.body ? document.body.scrollHeight : 0,
+    elements: document.getElementsByTagName('*').length
+  }));
+
+  const before = await measure();
+
+  const clicked = await clickMatchingControl(page, LOAD_MORE_TEXT.source, true);
+  if (!clicked) {
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await new Promise(resolve => setTimeout(resolve, 1500));
+  }
+  await waitForSettle(page);
+
+  const after = await measure();
+  return after.height > before.height || after.elements > before.elements;
+}
+
+module.exports = {
+  findNextPageUrl,
+  clickNextButton,
+  loadMoreInPlace,
+  normalizePageUrl,
+  incrementPageParam
+};
@@ -0,0 +1,202 @@
+// Turns a listing's price text into typed CAD amounts:
+//   "$45,999 + HST & licensing"            -> price 45999
+//   "MSRP $49,999 Sale $45,999"            -> msrp 49999, sale 45999
+//   "45 999 $" / "45 999,00 $"             -> 45999 (French Canadian formatting)
+//   "$389 bi-weekly for 84 months @ 6.49%" -> payment, not a vehicle price
+//   "Call for price"                       -> no price, callForPrice
+// The effective price used for sorting, filtering and change tracking is the internet
+// price, else the sale price, else an unlabelled price, else the MSRP. Payments never are.
+
+// Values of a vehicle's priceType; the first four say which amount its price is
+const PRICE_TYPES = ['internet', 'sale', 'price', 'msrp', 'call_for_price', 'payment_only'];
+
+// Label words are matched in the text just before an amount; the closest one wins
+const AMOUNT_LABELS = [
+  { type: 'msrp', pattern: /\b(msrp|m\.s\.r\.p|retail|list price|was|reg(ular)?( price)?|original price|pdsf|prix de détail)\b/gi },
+  { type: 'internet', pattern: /\b(internet|online|web|e-?price|eprice|click ?price)\b/gi },
+  { type: 'sale', pattern: /\b(sale|now|special|our price|selling price|your price|dealer price|after (discount|rebates?)|prix de vente|solde)\b/gi },
+  { type: 'discount', pattern: /\b(save|savings|discount|rebate|incentives?|bonus|économisez|rabais)\b/gi },
+  { type: 'payment', pattern: /\b(lease|leasing|finance|financing|payments?|location|financement|paiements?)\b/gi }
+];
+
+const FREQUENCIES = [
+  { frequency: 'bi-weekly', pattern: /\b(bi-?weekly|every (two|2) weeks|aux deux semaines|toutes les deux semaines)\b|\/\s*(2 ?wks?|bi-?wk)\b/i },
+  { frequency: 'semi-monthly', pattern: /\b(semi-?monthly)\b/i },
+  { frequency: 'weekly', pattern: /\b(weekly|per week|a week|par semaine|hebdo)\b|\/\s*(wk|week|sem)\b/i },
+  { frequency: 'monthly', pattern: /\b(monthly|per month|a month|par mois|mensuel)\b|\/\s*(mo|mth|month|mois)\b/i }
+];
+
+const CALL_FOR_PRICE = /\b(call|contact|ask|inquire|enquire)\b.{0,20}\b(price|pricing)\b|\bprice on request\b|\bsur demande\b|\bappelez\b/i;
+
+// "$45,999", "$ 45 999.00", "45 999 $", "45 999,00 $", "CAD 45,999", "C$45999"
+const MONEY_PATTERN = /(?:(?:C|CA|CAD)?\s?\$|\bCAD)\s?(\d{1,3}(?:[ ,.]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)|(\d{1,3}(?:[ ,.]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)\s?(?:\$|CAD\b)/gi;
+// Without a currency sign only a bare number counts ("45999" from a data-price attribute)
+const BARE_AMOUNT = /^\s*(\d{1,3}(?:[ ,.]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?)\s*$/;
+
+// Below this an unlabelled amount is a payment, not what the vehicle costs
+const MIN_VEHICLE_PRICE = 1000;
+const CONTEXT_CHARS = 40;
+
+// "45 999,00" -> 45999, "45,999.00" -> 45999, "45.999" -> 45999, "389.50" -> 389.5
+function parseAmount(digits) {
+  const compact = digits.replace(/ /g, '');
+  const decimal = compact.match(/[.,](\d{1,2})$/);
+  const whole = (decimal ? compact.slice(0, -decimal[0].length) : compact).replace(/[.,]/g, '');
+  const amount = parseFloat(whole + (decimal ? '.' + decimal[1] : ''));
+  return isNaN(amount) ? null : amount;
+}
+
+function closestLabel(before) {
+  let best = null;
+  for (const { type, pattern } of AMOUNT_LABELS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(before)) !== null) {
+      if (!best || match.index >= best.index) best = { type, index: match.index };
+    }
+  }
+  return best ? best.type : null;
+}
+
+function findFrequency(text) {
+  const found = FREQUENCIES.find(({ pattern }) => pattern.test(text));
+  return found ? found.frequency : '';
+}
+
+function classifyAmount(before, after) {
+  // What follows an amount is the strongest hint: "$389 bi-weekly", "$0 down", "$3,000 off"
+  if (/^\s*(down|dp|comptant)\b/i.test(after)) return { type: 'down_payment' };
+  if (/^\s*(off|in savings|de rabais)\b/i.test(after)) return { type: 'discount' };
+
+  const frequency = findFrequency(after.slice(0, 25)) || findFrequency(before.slice(-25));
+  const label = closestLabel(before);
+  if (frequency || label === 'payment') return { type: 'payment', frequency };
+  return { type: label || 'price' };
+}
+
+function findPaymentTerms(text) {
+  const term = text.match(/\b(\d{2,3})\s*(?:-\s*)?(?:months?|mos?|mths?|mois)\b/i);
+  const rate = text.match(/(\d{1,2}(?:[.,]\d{1,3})?)\s*%/);
+  return {
+    termMonths: term ? parseInt(term[1], 10) : null,
+    rate: rate ? parseFloat(rate[1].replace(',', '.')) : null,
+    kind: /\b(lease|leasing|location)\b/i.test(text) ? 'lease' : /\b(financ\w*|loan)\b/i.test(text) ? 'finance' : ''
+  };
+}
+
+// Every amount in the text with its type: msrp, internet, sale, price (unlabelled),
+// payment, down_payment or discount
+function findAmounts(text) {
+  const matches = [...text.matchAll(MONEY_PATTERN)];
+  if (matches.length === 0) {
+    const bare = text.match(BARE_AMOUNT);
+    return bare ? [{ type: 'price', amount: parseAmount(bare[1]) }].filter(entry => entry.amount !== null) : [];
+  }
+
+  return matches.map((match, index) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    const previousEnd = index > 0 ? matches[index - 1].index + matches[index - 1][0].length : 0;
+    const nextStart = index + 1 < matches.length ? matches[index + 1].index : text.length;
+    const before = text.slice(Math.max(previousEnd, start - CONTEXT_CHARS), start);
+    const after = text.slice(end, Math.min(nextStart, end + CONTEXT_CHARS));
+
+    return { ...classifyAmount(before, after), amount: parseAmount(match[1] || match[2]) };
+  }).filter(entry => entry.amount !== null);
+}
+
+// typeHint labels unlabelled amounts, for sources that say what the number is
+// (schema.org priceType "MSRP"). Returns { text, price, priceType, msrp, salePrice,
+// internetPrice, payment, callForPrice, amounts }; price is null when there is none.
+function parsePrice(value, typeHint = '') {
+  const text = String(value === undefined || value === null ? '' : value).replace(/\s+/g, ' ').trim();
+  const amounts = findAmounts(text);
+
+  for (const entry of amounts) {
+    if (entry.type === 'price' && typeHint) entry.type = typeHint;
+    // "$389" with no label or frequency is still a payment, not a $389 car
+    if (entry.type !== 'payment' && entry.type !== 'down_payment' && entry.type !== 'discount' && entry.amount < MIN_VEHICLE_PRICE) {
+      entry.type = 'payment';
+      entry.frequency = '';
+    }
+  }
+
+  // Two unlabelled prices are almost always a struck-through list price and the price now
+  const unlabelled = amounts.filter(entry => entry.type === 'price');
+  if (unlabelled.length >= 2 && !amounts.some(entry => ['msrp', 'sale', 'internet'].includes(entry.type))) {
+    const sorted = [...unlabelled].sort((a, b) => a.amount - b.amount);
+    sorted[0].type = 'sale';
+    sorted[sorted.length - 1].type = 'msrp';
+  }
+
+  const first = type => {
+    const entry = amounts.find(candidate => candidate.type === type);
+    return entry ? entry.amount : null;
+  };
+
+  const paymentEntry = amounts.find(entry => entry.type === 'payment');
+  const payment = paymentEntry
+    ? { amount: paymentEntry.amount, frequency: paymentEntry.frequency || '', ...findPaymentTerms(text) }
+    : null;
+
+  const result = {
+    text,
+    price: null,
+    priceType: '',
+    msrp: first('msrp'),
+    salePrice: first('sale'),
+    internetPrice: first('internet'),
+    payment,
+    callForPrice: false,
+    amounts
+  };
+
+  for (const type of ['internet', 'sale', 'price', 'msrp']) {
+    const amount = first(type);
+    if (amount !== null) {
+      result.price = amount;
+      result.priceType = type;
+      break;
+    }
+  }
+
+  if (result.price === null) {
+    if (CALL_FOR_PRICE.test(text)) {
+      result.callForPrice = true;
+      result.priceType = 'call_for_price';
+    } else if (payment) {
+      result.priceType = 'payment_only';
+    }
+  }
+
+  return result;
+}
+
+function formatAmount(amount) {
+  return amount === null || amount === undefined ? '' : String(Math.round(amount * 100) / 100);
+}
+
+// The vehicle record's price fields; price is the effective amount as plain digits
+function priceFields(value, typeHint) {
+  const parsed = parsePrice(value, typeHint);
+  return {
+    price: formatAmount(parsed.price),
+    priceType: parsed.priceType,
+    priceText: parsed.text.substring(0, 200),
+    msrp: formatAmount(parsed.msrp),
+    salePrice: formatAmount(parsed.salePrice),
+    internetPrice: formatAmount(parsed.internetPrice),
+    paymentAmount: formatAmount(parsed.payment && parsed.payment.amount),
+    paymentFrequency: parsed.payment ? parsed.payment.frequency : '',
+    paymentTermMonths: parsed.payment && parsed.payment.termMonths ? String(parsed.payment.termMonths) : '',
+    paymentRate: formatAmount(parsed.payment && parsed.payment.rate),
+    paymentType: parsed.payment ? parsed.payment.kind : ''
+  };
+}
+
+module.exports = {
+  PRICE_TYPES,
+  parseAmount,
+  parsePrice,
+  priceFields
+};
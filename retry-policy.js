@@ -0,0 +1,104 @@
+const { isCrashError } = require('./browser-pool');
+
+const RETRYABLE_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+  'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+];
+const PERMANENT_CODES = [
+  'ENOTFOUND', 'ERR_INVALID_URL', 'ERR_TLS_CERT_ALTNAME_INVALID', 'CERT_HAS_EXPIRED',
+  'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'ERR_FR_TOO_MANY_REDIRECTS', 'DISALLOWED_BY_ROBOTS'
+];
+// Chromium reports network failures as "net::ERR_*" in the error message
+const RETRYABLE_NET_ERRORS = /net::ERR_(CONNECTION_(RESET|CLOSED|REFUSED|TIMED_OUT)|TIMED_OUT|NETWORK_CHANGED|EMPTY_RESPONSE|SOCKET_NOT_CONNECTED|HTTP2_PROTOCOL_ERROR)/;
+const PERMANENT_NET_ERRORS = /net::ERR_(NAME_NOT_RESOLVED|NAME_RESOLUTION_FAILED|CERT_[A-Z_]+|SSL_[A-Z_]+|TOO_MANY_REDIRECTS|INVALID_URL|ADDRESS_UNREACHABLE)/;
+
+function httpError(status, url) {
+  const error = new Error(`HTTP ${status} for ${url}`);
+  error.status = status;
+  return error;
+}
+
+function getStatus(error) {
+  if (error.status) return error.status;
+  if (error.response && error.response.status) return error.response.status;
+  return null;
+}
+
+// Returns { retryable, reason } for an axios, Puppeteer or HTTP error
+function classifyError(error) {
+  if (!error) return { retryable: false, reason: 'unknown' };
+
+  const status = getStatus(error);
+  if (status) {
+    if (status >= 500 || status === 408 || status === 429) {
+      return { retryable: true, reason: `http_${status}` };
+    }
+    return { retryable: false, reason: `http_${status}` };
+  }
+
+  if (error.code && RETRYABLE_CODES.includes(error.code)) {
+    return { retryable: true, reason: error.code.toLowerCase() };
+  }
+  if (error.code && PERMANENT_CODES.includes(error.code)) {
+    return { retryable: false, reason: error.code === 'ENOTFOUND' ? 'dns_failure' : error.code.toLowerCase() };
+  }
+
+  const message = error.message || '';
+  if (PERMANENT_NET_ERRORS.test(message)) {
+    return { retryable: false, reason: message.match(PERMANENT_NET_ERRORS)[0].replace('net::', '').toLowerCase() };
+  }
+  if (RETRYABLE_NET_ERRORS.test(message)) {
+    return { retryable: true, reason: message.match(RETRYABLE_NET_ERRORS)[0].replace('net::', '').toLowerCase() };
+  }
+  if (error.name === 'TimeoutError' || /timeout|timed out/i.test(message)) {
+    return { retryable: true, reason: 'timeout' };
+  }
+  if (isCrashError(error)) {
+    return { retryable: true, reason: 'browser_crash' };
+  }
+
+  return { retryable: false, reason: 'unknown' };
+}
+
+// Exponential backoff with "equal jitter": half the window fixed, half random
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const window = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(window / 2 + Math.random() * window / 2);
+}
+
+// Runs fn up to retries + 1 times. Resolves to { value, attempts }; on failure the
+// thrown error carries attempts, retryable and reason.
+async function withRetry(fn, options = {}) {
+  const retries = options.retries === undefined ? 2 : options.retries;
+  const baseDelayMs = options.baseDelayMs || 1000;
+  const maxDelayMs = options.maxDelayMs || 15000;
+  const label = options.label || 'operation';
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await fn(attempt);
+      return { value, attempts: attempt };
+    } catch (error) {
+      const { retryable, reason } = classifyError(error);
+      error.attempts = attempt;
+      error.retryable = retryable;
+      error.reason = reason;
+
+      if (!retryable || attempt > retries) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      console.log(`🔁 ${label} failed (${reason}), retry ${attempt}/${retries} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  classifyError,
+  withRetry,
+  httpError,
+  backoffDelay
+};
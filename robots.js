@@ -0,0 +1,162 @@
+const axios = require('axios');
+const { USER_AGENT, ROBOTS_AGENT } = require('./user-agent');
+
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+// A server error may be temporary; ask again sooner
+const ROBOTS_ERROR_TTL_MS = 10 * 60 * 1000;
+// Longer crawl delays are capped so one site can't stall a run for hours
+const MAX_CRAWL_DELAY_MS = 60 * 1000;
+
+const cache = new Map();
+
+function robotsError(url) {
+  const error = new Error(`Disallowed by robots.txt: ${url}`);
+  error.code = 'DISALLOWED_BY_ROBOTS';
+  return error;
+}
+
+// "/inventory*" and "/*.pdf$" -> RegExp anchored at the start of the path
+function ruleToRegExp(path) {
+  const escaped = path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp('^' + (escaped.endsWith('\\$') ? escaped.slice(0, -2) + '$' : escaped));
+}
+
+// Parses robots.txt into groups of { agents, rules, crawlDelay } plus the listed sitemaps
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value, length: value.length, pattern: ruleToRegExp(value) });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// The group for our agent token, else the "*" group; rules of equally specific groups are merged
+function selectGroup(groups, agent = ROBOTS_AGENT) {
+  const named = groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+  const chosen = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+  if (chosen.length === 0) return null;
+
+  const delays = chosen.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: chosen.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+// Longest matching rule wins; Allow wins a tie. No matching rule means allowed.
+function isPathAllowed(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.pattern.test(path)) continue;
+    if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+function createPolicy(origin, parsed, status) {
+  const group = parsed ? selectGroup(parsed.groups) : null;
+  const rules = group ? group.rules : [];
+
+  return {
+    origin,
+    status,
+    sitemaps: parsed ? parsed.sitemaps : [],
+    crawlDelayMs: group && group.crawlDelay !== null ? Math.min(group.crawlDelay * 1000, MAX_CRAWL_DELAY_MS) : 0,
+    isAllowed(url) {
+      // A 5xx robots.txt means the whole site is off limits for now
+      if (status === 'unavailable') return false;
+      const parsedUrl = new URL(url);
+      return isPathAllowed(rules, parsedUrl.pathname + parsedUrl.search);
+    }
+  };
+}
+
+// 2xx: follow the file. 4xx: no restrictions. 5xx: treat the site as disallowed until re-checked.
+// A site that can't be reached at all gets no restrictions, so the real request reports the real error.
+async function fetchPolicy(origin) {
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: 10000,
+      maxContentLength: 512 * 1024,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: { 'User-Agent': USER_AGENT }
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      return { policy: createPolicy(origin, parseRobots(response.data), 'ok'), ttl: ROBOTS_TTL_MS };
+    }
+    if (response.status >= 500) {
+      return { policy: createPolicy(origin, null, 'unavailable'), ttl: ROBOTS_ERROR_TTL_MS };
+    }
+    return { policy: createPolicy(origin, null, 'none'), ttl: ROBOTS_TTL_MS };
+  } catch (error) {
+    return { policy: createPolicy(origin, null, 'unreachable'), ttl: ROBOTS_ERROR_TTL_MS };
+  }
+}
+
+// Cached robots.txt policy for the URL's origin: { isAllowed(url), crawlDelayMs, sitemaps, status }
+async function getRobotsPolicy(url) {
+  const origin = new URL(url).origin;
+  const cached = cache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  const entry = { expiresAt: Date.now() + ROBOTS_ERROR_TTL_MS };
+  entry.promise = fetchPolicy(origin).then(({ policy, ttl }) => {
+    entry.expiresAt = Date.now() + ttl;
+    return policy;
+  });
+  cache.set(origin, entry);
+  return entry.promise;
+}
+
+// Throws a DISALLOWED_BY_ROBOTS error when robots.txt forbids the URL; resolves to the policy otherwise
+async function assertAllowed(url) {
+  const policy = await getRobotsPolicy(url);
+  if (!policy.isAllowed(url)) throw robotsError(url);
+  return policy;
+}
+
+module.exports = {
+  robotsError,
+  parseRobots,
+  getRobotsPolicy,
+  assertAllowed
+};
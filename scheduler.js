@@ -0,0 +1,298 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const SCHEDULES_PATH = path.join(process.env.INVENTORY_STORE_DIR || path.join(__dirname, 'store'), 'schedules.json');
+// Timers are re-armed at least hourly so clock changes and sleeps don't delay a run for long
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+// Jobs written to schedules.json the first time the scheduler starts
+const DEFAULT_SCHEDULES = [
+  { id: 'nightly-full-scrape', name: 'Nightly full scrape', cron: '0 2 * * *', type: 'scrape', options: {} },
+  { id: 'toyota-every-4h', name: 'Toyota every 4 hours', cron: '0 */4 * * *', type: 'scrape', options: { brands: ['Toyota'] } },
+  { id: 'weekly-url-validation', name: 'Weekly URL validation', cron: '0 3 * * 0', type: 'validate-urls', options: {} }
+];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 0 and 7 are both Sunday
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+function scheduleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseCronValue(text, field) {
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (index < 0) return NaN;
+  return field.name === 'month' ? index + 1 : index;
+}
+
+// "*/15", "1-5", "mon-fri", "0,30" -> Set of allowed values
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let from = field.min;
+    let to = field.max;
+
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseCronValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseCronValue(end, field);
+    }
+
+    if (!Number.isInteger(step) || step < 1 || isNaN(from) || isNaN(to) || from < field.min || to > field.max || from > to) {
+      throw scheduleError(400, `Invalid ${field.name} in cron expression: "${part}"`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(field.name === 'day of week' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+// Standard 5-field cron (minute hour day-of-month month day-of-week) in server local time
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw scheduleError(400, `Cron expression must have 5 fields: "${text}"`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  return {
+    expression: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+// Like cron: when both day fields are restricted, either one matching is enough
+function dayMatches(cron, date) {
+  const dayOfMonth = cron.days.has(date.getDate());
+  const dayOfWeek = cron.weekdays.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dayOfWeek;
+  if (cron.anyWeekday) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+// First matching minute strictly after from, or null if the expression never matches
+function nextRunAfter(cron, from = new Date()) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  // Five years covers "29 Feb" style expressions
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+function nextRunIso(expression, from) {
+  const next = nextRunAfter(parseCron(expression), from);
+  return next ? next.toISOString() : null;
+}
+
+// In-process cron scheduler. handlers maps a job type to async (job) => result;
+// job definitions and run times are persisted to storePath so they survive restarts.
+// A run missed while the process was down is caught up once on start.
+function createScheduler(options = {}) {
+  const storePath = options.storePath || SCHEDULES_PATH;
+  const defaults = options.defaults || DEFAULT_SCHEDULES;
+  const handlers = options.handlers || {};
+  let jobs = [];
+  let timer = null;
+  let started = false;
+  let saveQueue = Promise.resolve();
+
+  function save() {
+    const snapshot = JSON.stringify({ jobs }, null, 2);
+    saveQueue = saveQueue.then(async () => {
+      await fs.mkdir(path.dirname(storePath), { recursive: true });
+      const tmpPath = `${storePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, snapshot, 'utf8');
+      await fs.rename(tmpPath, storePath);
+    }).catch(error => console.error('❌ Could not save schedules:', error.message));
+    return saveQueue;
+  }
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(storePath, 'utf8')).jobs || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return defaults.map(job => ({ paused: false, ...job }));
+    }
+  }
+
+  function findJob(id) {
+    const job = jobs.find(candidate => candidate.id === id);
+    if (!job) throw scheduleError(404, `Schedule not found: ${id}`);
+    return job;
+  }
+
+  function arm() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!started) return;
+
+    const upcoming = jobs
+      .filter(job => !job.paused && job.nextRunAt)
+      .map(job => new Date(job.nextRunAt).getTime());
+    if (upcoming.length === 0) return;
+
+    const delay = Math.max(0, Math.min(Math.min(...upcoming) - Date.now(), MAX_TIMER_MS));
+    timer = setTimeout(tick, delay);
+  }
+
+  async function runJob(job, trigger) {
+    const handler = handlers[job.type];
+    job.running = true;
+    job.lastRunAt = new Date().toISOString();
+    job.lastTrigger = trigger;
+    await save();
+
+    console.log(`⏰ Running schedule "${job.name}" (${trigger})`);
+    try {
+      if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+      const result = await handler(job);
+      job.lastStatus = 'success';
+      job.lastError = null;
+      job.lastResult = result || null;
+      console.log(`✅ Schedule "${job.name}" finished`);
+    } catch (error) {
+      // Another run already in progress is not a failure of the schedule
+      job.lastStatus = error.status === 409 ? 'skipped' : 'failed';
+      job.lastError = error.message;
+      console.error(`❌ Schedule "${job.name}" ${job.lastStatus}: ${error.message}`);
+    } finally {
+      job.running = false;
+      job.lastFinishedAt = new Date().toISOString();
+      await save();
+    }
+  }
+
+  function tick() {
+    const now = new Date();
+    for (const job of jobs) {
+      if (job.paused || job.running || !job.nextRunAt || new Date(job.nextRunAt) > now) continue;
+      job.nextRunAt = nextRunIso(job.cron, now);
+      runJob(job, 'schedule');
+    }
+    save();
+    arm();
+  }
+
+  async function start() {
+    jobs = await load();
+    const now = new Date();
+
+    for (const job of jobs) {
+      job.running = false;
+      try {
+        if (!job.nextRunAt) job.nextRunAt = nextRunIso(job.cron, now);
+        job.error = null;
+      } catch (error) {
+        job.nextRunAt = null;
+        job.error = error.message;
+        console.error(`❌ Schedule "${job.id}" has an invalid cron expression: ${error.message}`);
+      }
+    }
+
+    started = true;
+    await save();
+    console.log(`⏰ Scheduler started with ${jobs.length} jobs`);
+    tick();
+  }
+
+  function stop() {
+    started = false;
+    arm();
+  }
+
+  function list() {
+    return jobs.map(job => ({ ...job }));
+  }
+
+  async function pause(id) {
+    const job = findJob(id);
+    job.paused = true;
+    await save();
+    arm();
+    return { ...job };
+  }
+
+  // Resuming computes a fresh next run rather than catching up what was missed while paused
+  async function resume(id) {
+    const job = findJob(id);
+    job.paused = false;
+    job.nextRunAt = nextRunIso(job.cron, new Date());
+    await save();
+    arm();
+    return { ...job };
+  }
+
+  // Runs the job now (even when paused); its regular schedule is unchanged
+  function trigger(id) {
+    const job = findJob(id);
+    if (job.running) throw scheduleError(409, `Schedule "${job.name}" is already running`);
+    runJob(job, 'manual');
+    return { ...job };
+  }
+
+  return {
+    start,
+    stop,
+    list,
+    get: id => ({ ...findJob(id) }),
+    pause,
+    resume,
+    trigger
+  };
+}
+
+module.exports = {
+  SCHEDULES_PATH,
+  DEFAULT_SCHEDULES,
+  parseCron,
+  nextRunAfter,
+  createScheduler
+};
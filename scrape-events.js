@@ -0,0 +1,84 @@
+const { EventEmitter } = require('events');
+
+// Published by scrapeAllDealers and scrapeVehicleInventory, in roughly this order
+const SCRAPE_EVENT_TYPES = [
+  'run_started',
+  'dealer_started',
+  'inventory_found',
+  'vehicles_extracted',
+  'dealer_finished',
+  'dealer_failed',
+  'run_finished'
+];
+
+// Enough to replay a few dealers' worth of events to a client that reconnects
+const REPLAY_LIMIT = 500;
+const HEARTBEAT_MS = 25000;
+
+// Process-wide bus; every event gets an increasing id so SSE clients can resume with Last-Event-ID.
+// Ids start at the current time so a browser reconnecting after a server restart, with the old
+// process's Last-Event-ID, still gets the new events.
+function createEventBus(replayLimit = REPLAY_LIMIT) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const recent = [];
+  let lastId = Date.now();
+
+  function publish(type, data = {}) {
+    const event = { id: ++lastId, type, at: new Date().toISOString(), ...data };
+    recent.push(event);
+    if (recent.length > replayLimit) recent.shift();
+    emitter.emit('event', event);
+    return event;
+  }
+
+  // Returns the unsubscribe function
+  function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  }
+
+  function since(id) {
+    return recent.filter(event => event.id > id);
+  }
+
+  return { publish, subscribe, since };
+}
+
+const scrapeEvents = createEventBus();
+
+// Streams the bus to an Express response as Server-Sent Events until the client disconnects.
+// A reconnecting EventSource sends Last-Event-ID and gets the events it missed.
+function streamEvents(req, res, bus = scrapeEvents) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stops reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  if (lastEventId > 0) bus.since(lastEventId).forEach(send);
+
+  const unsubscribe = bus.subscribe(send);
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  SCRAPE_EVENT_TYPES,
+  createEventBus,
+  scrapeEvents,
+  streamEvents
+};
@@ -0,0 +1,152 @@
+// Finished jobs kept in memory for GET /scrape/jobs/:id; each run's data is also in the inventory store
+const HISTORY_LIMIT = 50;
+
+function jobError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function createJobId() {
+  const at = new Date().toISOString();
+  return 'job-' + at.replace(/[-:.TZ]/g, '') + '-' + Math.random().toString(36).slice(2, 6);
+}
+
+// FIFO queue that runs one job at a time. runJob(job, signal) does the work, updates
+// job.progress / job.results as it goes and resolves to the job summary. Cancelling
+// a running job aborts signal; runJob is expected to stop soon after.
+function createJobQueue(runJob, options = {}) {
+  const historyLimit = options.historyLimit || HISTORY_LIMIT;
+  const jobs = new Map();
+  const queue = [];
+  const waiters = new Map();
+  let running = null;
+  let controller = null;
+
+  function view(job) {
+    return {
+      ...job,
+      progress: { ...job.progress, current: [...job.progress.current] },
+      results: [...job.results],
+      position: job.status === 'queued' ? queue.indexOf(job) + 1 : undefined
+    };
+  }
+
+  function findJob(id) {
+    const job = jobs.get(id);
+    if (!job) throw jobError(404, `Scrape job not found: ${id}`);
+    return job;
+  }
+
+  function settle(job) {
+    job.finishedAt = new Date().toISOString();
+    (waiters.get(job.id) || []).forEach(resolve => resolve(view(job)));
+    waiters.delete(job.id);
+
+    const finished = [...jobs.values()].filter(candidate => candidate.finishedAt);
+    for (const old of finished.slice(0, Math.max(0, finished.length - historyLimit))) {
+      jobs.delete(old.id);
+    }
+  }
+
+  async function runNext() {
+    if (running || queue.length === 0) return;
+
+    const job = queue.shift();
+    running = job;
+    controller = new AbortController();
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.summary = await runJob(job, controller.signal);
+      job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+      job.error = error.message;
+      if (job.status === 'failed') console.error(`❌ Scrape job ${job.id} failed:`, error);
+    } finally {
+      job.progress.current = [];
+      running = null;
+      controller = null;
+      settle(job);
+      runNext();
+    }
+  }
+
+  function enqueue(params = {}) {
+    const job = {
+      id: createJobId(),
+      status: 'queued',
+      params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      runId: null,
+      progress: { total: 0, done: 0, current: [] },
+      results: [],
+      summary: null,
+      error: null
+    };
+
+    jobs.set(job.id, job);
+    queue.push(job);
+    runNext();
+    return view(job);
+  }
+
+  function cancel(id) {
+    const job = findJob(id);
+
+    if (job.status === 'queued') {
+      queue.splice(queue.indexOf(job), 1);
+      job.status = 'cancelled';
+      settle(job);
+    } else if (job === running) {
+      job.status = 'cancelling';
+      controller.abort();
+    } else {
+      throw jobError(409, `Scrape job ${id} has already ${job.status === 'cancelled' ? 'been cancelled' : 'finished'}`);
+    }
+    return view(job);
+  }
+
+  // Resolves with the job once it has finished, failed or been cancelled
+  function wait(id) {
+    const job = findJob(id);
+    if (job.finishedAt) return Promise.resolve(view(job));
+    return new Promise(resolve => {
+      waiters.set(id, (waiters.get(id) || []).concat(resolve));
+    });
+  }
+
+  // Newest first
+  function list() {
+    return [...jobs.values()].reverse().map(view);
+  }
+
+  function current() {
+    return running ? view(running) : null;
+  }
+
+  // The running job, or else the most recently finished one that actually ran
+  function latest() {
+    if (running) return view(running);
+    const ran = [...jobs.values()].filter(job => job.startedAt && job.finishedAt);
+    return ran.length > 0 ? view(ran[ran.length - 1]) : null;
+  }
+
+  return {
+    enqueue,
+    cancel,
+    wait,
+    list,
+    get: id => view(findJob(id)),
+    current,
+    latest
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,164 @@
+const zlib = require('zlib');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { USER_AGENT } = require('./user-agent');
+const { conditionFromLink } = require('./vehicle-condition');
+const { findVin } = require('./vin-decoder');
+
+// Per discovery: dealer groups can publish a sitemap per rooftop and tens of thousands of URLs
+const MAX_SITEMAPS = 8;
+const MAX_URLS = 20000;
+const MAX_SITEMAP_BYTES = 10 * 1024 * 1024;
+const MAX_UNZIPPED_BYTES = 50 * 1024 * 1024;
+
+// Index entries named like this are read first, so the MAX_SITEMAPS cap doesn't cut them
+const INVENTORY_SITEMAP_HINT = /inventory|vehicle|vdp|new|used|certified|pre-?owned/i;
+
+// Vehicle detail pages: a VDP-style directory or a "2021-honda-civic-..." slug (a VIN in the path also counts)
+const DETAIL_PATTERNS = [
+  /\/(vdp|vehicle-details?|vehicle-info|vehicledetails)(\/|\.|$)/i,
+  /\/(19|20)\d{2}[-_][a-z0-9]+[-_][a-z0-9_-]+(\.html?|\.aspx)?\/?$/i
+];
+// Fewer detail pages than this under one directory isn't enough to call it a listing
+const MIN_DETAIL_URLS_FOR_SEED = 3;
+
+function isVehicleDetailUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    return false;
+  }
+  const vin = findVin(pathname);
+  return Boolean(vin && vin.valid) || DETAIL_PATTERNS.some(pattern => pattern.test(pathname));
+}
+
+// Sitemap XML (urlset or sitemapindex), or a plain-text sitemap with one URL per line
+function parseSitemap(text) {
+  if (!/<(\w+:)?(urlset|sitemapindex)\b/i.test(text)) {
+    const urls = text.split(/\r?\n/).map(line => line.trim()).filter(line => /^https?:\/\//i.test(line));
+    return { sitemaps: [], urls };
+  }
+
+  const $ = cheerio.load(text, { xmlMode: true });
+  const locs = selector => $(selector).map((i, elem) => $(elem).text().trim()).get().filter(Boolean);
+  return {
+    sitemaps: locs('sitemapindex > sitemap > loc'),
+    urls: locs('urlset > url > loc')
+  };
+}
+
+async function fetchSitemap(url, request) {
+  await request(url);
+  const response = await axios.get(url, {
+    timeout: 15000,
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_SITEMAP_BYTES,
+    headers: { 'User-Agent': USER_AGENT }
+  });
+
+  let body = Buffer.from(response.data);
+  // sitemap.xml.gz, or gzip sent without a Content-Encoding header
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    body = zlib.gunzipSync(body, { maxOutputLength: MAX_UNZIPPED_BYTES });
+  }
+  return body.toString('utf8');
+}
+
+// Reads the sitemaps robots.txt lists (or /sitemap.xml when it lists none), following index
+// files. request(url) runs before each fetch so callers can apply robots.txt and rate limits.
+// Never throws: a missing or broken sitemap just contributes no URLs.
+async function readSitemaps(origin, listed = [], options = {}) {
+  const request = options.request || (async () => {});
+  const queue = listed.length > 0 ? [...listed] : [`${origin}/sitemap.xml`];
+  const seen = new Set();
+  const sitemaps = [];
+  const urls = [];
+  const errors = [];
+
+  while (queue.length > 0 && sitemaps.length < MAX_SITEMAPS && urls.length < MAX_URLS) {
+    const url = queue.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    try {
+      const parsed = parseSitemap(await fetchSitemap(url, request));
+      sitemaps.push(url);
+      urls.push(...parsed.urls.slice(0, MAX_URLS - urls.length));
+
+      queue.push(...parsed.sitemaps);
+      queue.sort((a, b) => INVENTORY_SITEMAP_HINT.test(b) - INVENTORY_SITEMAP_HINT.test(a));
+    } catch (error) {
+      errors.push({ url, error: error.message });
+    }
+  }
+
+  return { sitemaps, urls, errors };
+}
+
+// Turns sitemap URLs into inventory page candidates shaped like findInventoryPage's homepage
+// links. A URL ending in a pattern path scores like a homepage link to it; one that only
+// contains it (a model page under /new-vehicles/) scores half. Vehicle detail pages are counted
+// per condition, and a directory holding several of them is offered as a low-confidence
+// listing that only wins when nothing better matched its condition.
+function rankSitemapUrls(urls, patterns) {
+  const candidates = [];
+  const vehicleUrls = { total: 0, byCondition: {} };
+  const detailDirs = new Map();
+
+  for (const url of urls) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      continue;
+    }
+    const condition = conditionFromLink(url);
+
+    if (isVehicleDetailUrl(url)) {
+      vehicleUrls.total++;
+      vehicleUrls.byCondition[condition || 'unknown'] = (vehicleUrls.byCondition[condition || 'unknown'] || 0) + 1;
+
+      const dir = parsed.origin + parsed.pathname.replace(/\/+$/, '').replace(/[^/]*$/, '');
+      const seed = detailDirs.get(dir) || { count: 0, condition };
+      seed.count++;
+      detailDirs.set(dir, seed);
+      continue;
+    }
+
+    const path = parsed.pathname.toLowerCase().replace(/\/+$/, '').replace(/\.(html?|aspx|php)$/, '');
+    for (const pattern of patterns) {
+      const patternPath = pattern.path.toLowerCase();
+      if (!path.includes(patternPath)) continue;
+      candidates.push({
+        url,
+        condition: condition || pattern.condition || 'new',
+        confidence: path.endsWith(patternPath) ? pattern.score : Math.floor(pattern.score / 2),
+        text: '',
+        pattern: pattern.path,
+        source: 'sitemap'
+      });
+    }
+  }
+
+  for (const [dir, seed] of detailDirs) {
+    if (seed.count < MIN_DETAIL_URLS_FOR_SEED || DETAIL_PATTERNS[0].test(new URL(dir).pathname)) continue;
+    candidates.push({
+      url: dir,
+      condition: seed.condition || 'new',
+      confidence: 3,
+      text: '',
+      pattern: 'vehicle detail URLs',
+      source: 'sitemap'
+    });
+  }
+
+  return { candidates, vehicleUrls };
+}
+
+module.exports = {
+  isVehicleDetailUrl,
+  parseSitemap,
+  readSitemaps,
+  rankSitemapUrls
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const { parsePriceValue } = require('./inventory-changes');
+const { CONDITIONS } = require('./vehicle-condition');
+const { PRICE_TYPES } = require('./price-parser');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Sort keys accepted by ?sort=; prefix with "-" for descending ("-price,year")
+const SORT_KEYS = {
+  price: entry => entry.price,
+  payment: entry => entry.payment,
+  year: entry => entry.year,
+  odometer: entry => entry.odometerKm,
+  make: entry => entry.make,
+  model: entry => entry.model,
+  dealer: entry => entry.dealer,
+  city: entry => entry.city,
+  scrapedAt: entry => entry.scrapedAt
+};
+
+function queryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function lower(value) {
+  return String(value || '').toLowerCase().trim();
+}
+
+function toNumber(value) {
+  const number = parseInt(String(value || '').replace(/[^\d]/g, ''), 10);
+  return isNaN(number) ? null : number;
+}
+
+function buildStockIndex(vehicles) {
+  const entries = vehicles.map(vehicle => {
+    // A vehicle merged across sister stores matches the dealer, city and brand of any of its listings
+    const listings = vehicle.listings && vehicle.listings.length > 0 ? vehicle.listings : [vehicle];
+    return {
+      vehicle,
+      make: lower(vehicle.make),
+      model: lower(vehicle.model),
+      dealer: lower(vehicle.dealer),
+      city: lower(vehicle.city),
+      brands: listings.map(listing => lower(listing.brand)),
+      dealers: listings.map(listing => lower(listing.dealer)),
+      cities: listings.map(listing => lower(listing.city)),
+      condition: vehicle.condition || 'new',
+      year: toNumber(vehicle.year),
+      price: parsePriceValue(vehicle.price),
+      priceType: vehicle.priceType || '',
+      payment: parsePriceValue(vehicle.paymentAmount),
+      odometerKm: toNumber(vehicle.odometerKm),
+      scrapedAt: vehicle.scrapedAt || '',
+      text: [vehicle.year, vehicle.make, vehicle.model, vehicle.trim, vehicle.drivetrain, vehicle.rawTitle, vehicle.stock, vehicle.vin]
+        .concat(listings.map(listing => listing.dealer), listings.map(listing => listing.city))
+        .filter(Boolean).join(' ').toLowerCase()
+    };
+  });
+
+  const byMake = new Map();
+  for (const entry of entries) {
+    if (!byMake.has(entry.make)) byMake.set(entry.make, []);
+    byMake.get(entry.make).push(entry);
+  }
+
+  return { entries, byMake };
+}
+
+// The store hands out a new snapshot object whenever it writes, so the index
+// is rebuilt exactly when the stock changes
+const indexCache = new WeakMap();
+
+function getStockIndex(snapshot) {
+  if (!indexCache.has(snapshot)) {
+    indexCache.set(snapshot, buildStockIndex(snapshot.vehicles));
+  }
+  return indexCache.get(snapshot);
+}
+
+function parseList(value) {
+  if (value === undefined || value === '') return null;
+  const list = String(value).split(',').map(lower).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+function parseBound(query, name) {
+  if (query[name] === undefined || query[name] === '') return null;
+  const number = Number(String(query[name]).replace(/[$,\s]/g, ''));
+  if (isNaN(number)) throw queryError(`${name} must be a number`);
+  return number;
+}
+
+function parseSort(value) {
+  if (!value) return [];
+  return String(value).split(',').filter(Boolean).map(part => {
+    const descending = part.startsWith('-');
+    const key = descending ? part.slice(1) : part;
+    if (!SORT_KEYS[key]) {
+      throw queryError(`Unknown sort key: ${key} (use ${Object.keys(SORT_KEYS).join(', ')})`);
+    }
+    return { key, descending };
+  });
+}
+
+// Turns request query parameters into filters; throws a 400 error on bad input
+function parseStockFilters(query = {}) {
+  const filters = {
+    make: parseList(query.make),
+    brand: parseList(query.brand),
+    condition: parseList(query.condition),
+    priceType: parseList(query.priceType),
+    model: lower(query.model) || null,
+    dealer: lower(query.dealer) || null,
+    city: lower(query.city) || null,
+    q: lower(query.q).split(/\s+/).filter(Boolean),
+    yearMin: parseBound(query, 'yearMin'),
+    yearMax: parseBound(query, 'yearMax'),
+    priceMin: parseBound(query, 'priceMin'),
+    priceMax: parseBound(query, 'priceMax')
+  };
+
+  if (query.year) {
+    filters.yearMin = filters.yearMax = parseBound(query, 'year');
+  }
+
+  if (filters.condition) {
+    const invalid = filters.condition.filter(condition => !CONDITIONS.includes(condition));
+    if (invalid.length > 0) {
+      throw queryError(`Unknown condition: ${invalid.join(', ')} (use ${CONDITIONS.join(', ')})`);
+    }
+  }
+
+  if (filters.priceType) {
+    const invalid = filters.priceType.filter(type => !PRICE_TYPES.includes(type));
+    if (invalid.length > 0) {
+      throw queryError(`Unknown priceType: ${invalid.join(', ')} (use ${PRICE_TYPES.join(', ')})`);
+    }
+  }
+
+  return filters;
+}
+
+function inRange(value, min, max) {
+  if (min === null && max === null) return true;
+  if (value === null) return false;
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+function matchesFilters(entry, filters) {
+  return (!filters.brand || entry.brands.some(brand => filters.brand.includes(brand))) &&
+    (!filters.condition || filters.condition.includes(entry.condition)) &&
+    (!filters.priceType || filters.priceType.includes(entry.priceType)) &&
+    (!filters.model || entry.model.includes(filters.model)) &&
+    (!filters.dealer || entry.dealers.some(dealer => dealer.includes(filters.dealer))) &&
+    (!filters.city || entry.cities.some(city => city.includes(filters.city))) &&
+    inRange(entry.year, filters.yearMin, filters.yearMax) &&
+    inRange(entry.price, filters.priceMin, filters.priceMax) &&
+    filters.q.every(token => entry.text.includes(token));
+}
+
+function filterEntries(index, filters) {
+  const candidates = filters.make
+    ? filters.make.flatMap(make => index.byMake.get(make) || [])
+    : index.entries;
+  return candidates.filter(entry => matchesFilters(entry, filters));
+}
+
+// Vehicles without a value for the sort key always go last
+function sortEntries(entries, sort) {
+  if (sort.length === 0) return entries;
+
+  return [...entries].sort((a, b) => {
+    for (const { key, descending } of sort) {
+      const left = SORT_KEYS[key](a);
+      const right = SORT_KEYS[key](b);
+      const leftMissing = left === null || left === '';
+      const rightMissing = right === null || right === '';
+      if (leftMissing || rightMissing) {
+        if (leftMissing !== rightMissing) return leftMissing ? 1 : -1;
+        continue;
+      }
+      if (left !== right) {
+        const order = left < right ? -1 : 1;
+        return descending ? -order : order;
+      }
+    }
+    return 0;
+  });
+}
+
+// Filters and sorts the snapshot without paging (used by exports)
+function filterStock(snapshot, query = {}) {
+  const filters = parseStockFilters(query);
+  const sort = parseSort(query.sort);
+  return sortEntries(filterEntries(getStockIndex(snapshot), filters), sort).map(entry => entry.vehicle);
+}
+
+// Cursors are opaque to clients: the next offset plus a signature of the query they belong to
+function querySignature(query) {
+  const { cursor, offset, limit, ...rest } = query;
+  const normalized = Object.keys(rest).sort().map(key => `${key}=${rest[key]}`).join('&');
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 12);
+}
+
+function encodeCursor(offset, query) {
+  return Buffer.from(JSON.stringify({ offset, query: querySignature(query) })).toString('base64url');
+}
+
+function decodeCursor(cursor, query) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw queryError('Invalid cursor');
+  }
+  if (!decoded || !Number.isInteger(decoded.offset) || decoded.offset < 0) {
+    throw queryError('Invalid cursor');
+  }
+  if (decoded.query !== querySignature(query)) {
+    throw queryError('Cursor does not match this query');
+  }
+  return decoded.offset;
+}
+
+function parsePaging(query) {
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw queryError('limit must be a positive integer');
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let offset = 0;
+  if (query.cursor) {
+    offset = decodeCursor(query.cursor, query);
+  } else if (query.offset !== undefined && query.offset !== '') {
+    offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) throw queryError('offset must be a non-negative integer');
+  }
+
+  return { limit, offset };
+}
+
+// Runs a /stock query against the latest snapshot:
+// returns { matched, dealers, offset, limit, nextCursor, vehicles }
+function queryStock(snapshot, query = {}) {
+  const { limit, offset } = parsePaging(query);
+  const matches = filterStock(snapshot, query);
+  const end = offset + limit;
+
+  return {
+    matched: matches.length,
+    dealers: new Set(matches.flatMap(vehicle => (vehicle.listings || [vehicle]).map(listing => listing.dealer))).size,
+    offset,
+    limit,
+    nextCursor: end < matches.length ? encodeCursor(end, query) : null,
+    vehicles: matches.slice(offset, end)
+  };
+}
+
+module.exports = {
+  SORT_KEYS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseStockFilters,
+  filterStock,
+  queryStock,
+  getStockIndex
+};
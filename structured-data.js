@@ -0,0 +1,216 @@
+const cheerio = require('cheerio');
+const { normalizeCondition } = require('./vehicle-condition');
+
+const VEHICLE_TYPES = ['Car', 'Vehicle', 'MotorizedVehicle', 'BusOrCoach', 'Motorcycle'];
+const VEHICLE_PROPERTIES = ['vehicleIdentificationNumber', 'vehicleModelDate', 'modelDate', 'mileageFromOdometer', 'vehicleConfiguration'];
+const MILES_TO_KM = 1.609344;
+
+function getTypes(node) {
+  const type = node && node['@type'];
+  if (!type) return [];
+  return (Array.isArray(type) ? type : [type]).map(t => String(t).replace(/^.*[/#]/, ''));
+}
+
+function isVehicleNode(node) {
+  const types = getTypes(node);
+  if (types.some(t => VEHICLE_TYPES.includes(t))) return true;
+  // Some platforms publish cars as plain Products with vehicle properties
+  return types.includes('Product') && VEHICLE_PROPERTIES.some(prop => node[prop] !== undefined);
+}
+
+function asText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return asText(value[0]);
+  if (typeof value === 'object') return asText(value.name || value['@value'] || value.value || '');
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+function extractYearValue(value) {
+  const match = asText(value).match(/\b(19[89]\d|20\d{2})\b/);
+  return match ? match[1] : '';
+}
+
+// schema.org PriceSpecification priceType values for a list price rather than the selling price
+const LIST_PRICE_TYPE = /(MSRP|SRP|ListPrice|StrikethroughPrice)$/i;
+
+// The first offer price as { amount, type }; type is 'msrp' or 'sale' when a PriceSpecification
+// says which it is. Specifications billed per period are lease or finance payments and are skipped.
+function extractOfferPrice(offers) {
+  if (!offers) return null;
+  const list = Array.isArray(offers) ? offers : [offers];
+  for (const offer of list) {
+    if (!offer || typeof offer !== 'object') continue;
+    const specs = [].concat(offer.priceSpecification || [])
+      .filter(spec => spec && typeof spec === 'object' && !spec.billingDuration && !spec.billingIncrement);
+    const candidates = [
+      { value: offer.price },
+      { value: offer.lowPrice },
+      ...specs.map(spec => ({
+        value: spec.price,
+        type: spec.priceType ? (LIST_PRICE_TYPE.test(asText(spec.priceType)) ? 'msrp' : 'sale') : ''
+      }))
+    ];
+    for (const candidate of candidates) {
+      const amount = parseFloat(String(candidate.value === undefined ? '' : candidate.value).replace(/[^\d.]/g, ''));
+      if (!isNaN(amount) && amount > 0) return { amount, type: candidate.type || '' };
+    }
+  }
+  return null;
+}
+
+function extractOdometerKm(mileage) {
+  if (mileage === null || mileage === undefined) return '';
+  const value = typeof mileage === 'object' && !Array.isArray(mileage) ? mileage.value : mileage;
+  const amount = parseFloat(asText(value).replace(/[^\d.]/g, ''));
+  if (isNaN(amount)) return '';
+
+  const unit = typeof mileage === 'object' ? asText(mileage.unitCode || mileage.unitText).toUpperCase() : '';
+  const isMiles = unit === 'SMI' || unit.startsWith('MI');
+  return String(Math.round(isMiles ? amount * MILES_TO_KM : amount));
+}
+
+function extractCondition(node, offer) {
+  const condition = normalizeCondition(asText(node.itemCondition) || asText(offer && offer.itemCondition));
+  // schema.org has no certified pre-owned condition; dealers put it in the name or description
+  if (condition !== 'new' && /\bcertified\b/i.test(asText(node.name) + ' ' + asText(node.description))) {
+    return 'certified';
+  }
+  return condition;
+}
+
+// Maps a schema.org Car/Vehicle (optionally wrapped in an Offer) to vehicle fields
+function mapSchemaVehicle(node, offer) {
+  const make = asText(node.brand) || asText(node.manufacturer) || asText(node.make);
+  const year = extractYearValue(node.vehicleModelDate || node.modelDate || node.productionDate || node.releaseDate) ||
+    extractYearValue(node.name);
+  let model = asText(node.model);
+
+  if (!model && node.name) {
+    // "2025 Toyota RAV4 XLE" -> "RAV4 XLE", also for "Certified Pre-Owned 2022 ..."
+    model = asText(node.name)
+      .replace(/\b(19[89]\d|20\d{2})\b/, '')
+      .replace(/^\s*(new|used|certified( pre-owned)?|pre-owned)\s+/i, '')
+      .replace(new RegExp('^\\s*' + make.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'), '')
+      .trim();
+  }
+
+  const price = extractOfferPrice(node.offers) || extractOfferPrice(offer);
+  const ownOffer = Array.isArray(node.offers) ? node.offers[0] : node.offers;
+  const offerInfo = offer || (ownOffer && typeof ownOffer === 'object' ? ownOffer : null);
+
+  return {
+    make,
+    model,
+    year,
+    trim: asText(node.vehicleConfiguration) || asText(node.trim),
+    price: price ? Math.round(price.amount).toLocaleString('en-CA') : '',
+    priceType: price ? price.type : '',
+    stock: asText(node.sku) || asText(offerInfo && offerInfo.sku),
+    vin: asText(node.vehicleIdentificationNumber).toUpperCase(),
+    odometerKm: extractOdometerKm(node.mileageFromOdometer),
+    condition: extractCondition(node, offerInfo),
+    detailUrl: asText(node.url) || asText(offerInfo && offerInfo.url)
+  };
+}
+
+function collectVehicleNodes(node, found, offer = null, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 10) return;
+
+  if (Array.isArray(node)) {
+    node.forEach(child => collectVehicleNodes(child, found, offer, depth + 1));
+    return;
+  }
+
+  if (isVehicleNode(node)) {
+    found.push({ node, offer });
+    return;
+  }
+
+  const types = getTypes(node);
+  if (types.includes('Offer') || types.includes('AggregateOffer')) {
+    collectVehicleNodes(node.itemOffered, found, node, depth + 1);
+    return;
+  }
+
+  for (const key of ['@graph', 'itemListElement', 'item', 'mainEntity', 'itemOffered', 'offers']) {
+    if (node[key]) collectVehicleNodes(node[key], found, offer, depth + 1);
+  }
+}
+
+function extractJsonLdVehicles($) {
+  const found = [];
+
+  $('script[type="application/ld+json"]').each((i, elem) => {
+    const raw = $(elem).contents().text();
+    if (!raw || !raw.trim()) return;
+    try {
+      collectVehicleNodes(JSON.parse(raw.trim()), found);
+    } catch (e) {
+      // Dealer sites regularly ship malformed JSON-LD; skip the block
+    }
+  });
+
+  return found.map(({ node, offer }) => mapSchemaVehicle(node, offer));
+}
+
+function readMicrodataValue($, elem) {
+  const $elem = $(elem);
+  if ($elem.is('[itemscope]')) return readMicrodataItem($, elem);
+  if ($elem.attr('content') !== undefined) return $elem.attr('content');
+  if ($elem.is('a, link')) return $elem.attr('href') || '';
+  if ($elem.is('img')) return $elem.attr('src') || '';
+  if ($elem.is('meta')) return $elem.attr('content') || '';
+  return $elem.text();
+}
+
+// Reads the itemprops that belong to this itemscope (not to nested ones)
+function readMicrodataItem($, scope) {
+  const item = { '@type': $(scope).attr('itemtype') || '' };
+
+  $(scope).find('[itemprop]').each((i, elem) => {
+    const owner = $(elem).parent().closest('[itemscope]').get(0);
+    if (owner !== scope) return;
+
+    const value = readMicrodataValue($, elem);
+    for (const prop of ($(elem).attr('itemprop') || '').split(/\s+/).filter(Boolean)) {
+      if (item[prop] === undefined) item[prop] = value;
+    }
+  });
+
+  return item;
+}
+
+function extractMicrodataVehicles($) {
+  const found = [];
+
+  $('[itemscope][itemtype]').each((i, elem) => {
+    // Nested scopes are read as properties of their parent
+    if ($(elem).parent().closest('[itemscope]').length > 0) return;
+    collectVehicleNodes(readMicrodataItem($, elem), found);
+  });
+
+  return found.map(({ node, offer }) => mapSchemaVehicle(node, offer));
+}
+
+// Returns { method, vehicles } for the first structured-data source that yields vehicles
+function extractStructuredVehicles(html) {
+  const $ = cheerio.load(html);
+
+  const jsonLd = extractJsonLdVehicles($).filter(v => v.make || v.model);
+  if (jsonLd.length > 0) {
+    return { method: 'json-ld', vehicles: jsonLd };
+  }
+
+  const microdata = extractMicrodataVehicles($).filter(v => v.make || v.model);
+  if (microdata.length > 0) {
+    return { method: 'microdata', vehicles: microdata };
+  }
+
+  return { method: null, vehicles: [] };
+}
+
+module.exports = {
+  extractStructuredVehicles,
+  extractJsonLdVehicles,
+  extractMicrodataVehicles
+};
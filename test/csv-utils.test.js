@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCSVLine, escapeCSV } = require('../csv-utils');
+
+test('fields with quotes and commas survive a write and read', () => {
+  const fields = ['Toyota', 'The "Original" Toyota, Markham', '"Quoted"', '', '3300 Steeles Ave E, Markham, ON'];
+  const line = fields.map(escapeCSV).join(',');
+
+  assert.deepStrictEqual(parseCSVLine(line), fields);
+  // Saving again must not add quotes
+  assert.strictEqual(parseCSVLine(line).map(escapeCSV).join(','), line);
+});
+
+test('plain and quoted fields parse as before', () => {
+  assert.deepStrictEqual(parseCSVLine('Honda,"751 Queen St E, Toronto",(416) 778-8800'), ['Honda', '751 Queen St E, Toronto', '(416) 778-8800']);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCSV, renderExport } = require('../export-formats');
+
+const columns = [{ header: 'Dealer', field: 'dealer' }, { header: 'Price', field: 'price', numeric: true }];
+const rows = [{ dealer: '=HYPERLINK("http://example.com")', price: '-500' }, { dealer: '@Markham Honda', price: 45999 }];
+
+test('exported CSV cells that look like formulas are written as text', async () => {
+  const csv = await renderExport('csv', rows, { columns });
+  assert.ok(csv.includes('"\'=HYPERLINK(""http://example.com"")"'));
+  assert.ok(csv.includes("'@Markham Honda,45999"));
+  // Numbers are left alone
+  assert.ok(csv.includes(',-500\n'));
+});
+
+test('stock.csv keeps scraped text as it was', () => {
+  assert.ok(toCSV(rows, columns).includes('@Markham Honda,45999'));
+  assert.ok(!toCSV(rows, columns).includes("'"));
+});
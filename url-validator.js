@@ -0,0 +1,288 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { readDealers, applyDealerUpdates } = require('./dealer-csv');
+const { runWithConcurrency } = require('./concurrency');
+const { withRetry, classifyError } = require('./retry-policy');
+const { USER_AGENT } = require('./user-agent');
+
+// Latest report, read by the API and by the scraper's pre-run check
+const REPORT_PATH = path.join(process.env.INVENTORY_STORE_DIR || path.join(__dirname, 'store'), 'url-validation.json');
+const MAX_REDIRECTS = 10;
+
+// Validation Status values written to the dealer CSV
+const STATUS = {
+  OK: 'OK',
+  DEAD: 'DEAD',
+  PARKED: 'PARKED',
+  TLS_ERROR: 'TLS_ERROR',
+  NO_WEBSITE: 'NO_WEBSITE',
+  NEEDS_REVIEW: 'NEEDS_REVIEW'
+};
+// Statuses that mean a scrape of this dealer cannot succeed
+const DEAD_STATUSES = [STATUS.DEAD, STATUS.PARKED, STATUS.TLS_ERROR, STATUS.NO_WEBSITE];
+
+const PARKING_HOSTS = [
+  'sedoparking.com', 'sedo.com', 'parkingcrew.net', 'bodis.com', 'dan.com', 'afternic.com',
+  'hugedomains.com', 'above.com', 'parklogic.com', 'domainmarket.com', 'undeveloped.com', 'godaddysites.com'
+];
+const PARKED_TEXT = [
+  /this domain (name )?(is|may be) for sale/i,
+  /buy this domain/i,
+  /domain (is )?parked/i,
+  /parked free/i,
+  /domain parking/i,
+  /the domain .{0,40} is available/i,
+  /inquire about this domain/i
+];
+const TLS_CODES = /CERT|SSL|TLS|SELF_SIGNED|UNABLE_TO_VERIFY/;
+const DEAD_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_INVALID_URL'];
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+function detectParking(finalUrl, body) {
+  const signals = [];
+  const host = hostOf(finalUrl);
+  const parkingHost = PARKING_HOSTS.find(parking => host === parking || host.endsWith('.' + parking));
+  if (parkingHost) signals.push(`host:${parkingHost}`);
+
+  const text = String(body || '').slice(0, 200000);
+  for (const pattern of PARKED_TEXT) {
+    if (pattern.test(text)) signals.push(`text:${pattern.source}`);
+  }
+  // Parking pages are tiny shells that load their content from a parking script
+  if (/<script[^>]+src=["'][^"']*(parking|sedo|bodis|parkingcrew)/i.test(text)) {
+    signals.push('script:parking');
+  }
+
+  return signals;
+}
+
+async function fetchOnce(url, userAgent, timeout) {
+  return axios.get(url, {
+    timeout,
+    maxRedirects: 0,
+    maxContentLength: 5 * 1024 * 1024,
+    responseType: 'text',
+    validateStatus: () => true,
+    headers: { 'User-Agent': userAgent, Accept: 'text/html,application/xhtml+xml' }
+  });
+}
+
+// Follows the redirect chain by hand so every hop and its status is recorded.
+// Resolves to { url, status, httpStatus, redirects, finalUrl, canonicalUrl, parkedSignals, reason, checkedAt }
+async function checkUrl(url, options = {}) {
+  const userAgent = options.userAgent || USER_AGENT;
+  const timeout = options.timeout || 15000;
+  const result = {
+    url,
+    status: STATUS.NEEDS_REVIEW,
+    httpStatus: null,
+    redirects: [],
+    finalUrl: null,
+    canonicalUrl: null,
+    parkedSignals: [],
+    reason: '',
+    checkedAt: new Date().toISOString()
+  };
+
+  if (!url) {
+    result.status = STATUS.NO_WEBSITE;
+    result.reason = 'no_website';
+    return result;
+  }
+
+  let current = url;
+  let response;
+
+  try {
+    for (let hop = 0; ; hop++) {
+      response = (await withRetry(() => fetchOnce(current, userAgent, timeout), {
+        retries: options.retries === undefined ? 1 : options.retries,
+        baseDelayMs: 1000,
+        label: `URL check for ${current}`
+      })).value;
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) break;
+
+      if (hop >= MAX_REDIRECTS) {
+        result.reason = 'too_many_redirects';
+        result.finalUrl = current;
+        return result;
+      }
+      const next = new URL(location, current).href;
+      result.redirects.push({ from: current, to: next, status: response.status });
+      current = next;
+    }
+  } catch (error) {
+    const code = error.code || '';
+    result.finalUrl = current;
+    result.reason = classifyError(error).reason;
+    if (TLS_CODES.test(code) || /certificate|ssl/i.test(error.message)) {
+      result.status = STATUS.TLS_ERROR;
+      result.reason = code.toLowerCase() || 'tls_error';
+    } else if (DEAD_CODES.includes(code)) {
+      result.status = STATUS.DEAD;
+    }
+    return result;
+  }
+
+  result.httpStatus = response.status;
+  result.finalUrl = current;
+  result.parkedSignals = detectParking(current, response.data);
+
+  if (result.parkedSignals.length > 0) {
+    result.status = STATUS.PARKED;
+    result.reason = 'parked_domain';
+  } else if (response.status >= 200 && response.status < 300) {
+    result.status = STATUS.OK;
+  } else if (response.status === 404 || response.status === 410) {
+    result.status = STATUS.DEAD;
+    result.reason = `http_${response.status}`;
+  } else {
+    // 403/429 are usually bot protection and 5xx can be temporary: a person should look
+    result.reason = `http_${response.status}`;
+  }
+
+  // Only an all-permanent chain is safe to bake into the dealer record
+  const permanent = result.redirects.length > 0 && result.redirects.every(hop => hop.status === 301 || hop.status === 308);
+  if (result.status === STATUS.OK && permanent && current !== url) {
+    result.canonicalUrl = current;
+  }
+
+  return result;
+}
+
+async function saveReport(report) {
+  await fs.mkdir(path.dirname(REPORT_PATH), { recursive: true });
+  await fs.writeFile(REPORT_PATH, JSON.stringify(report, null, 2), 'utf8');
+}
+
+async function loadReport() {
+  try {
+    return JSON.parse(await fs.readFile(REPORT_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Checks every dealer website (or only options.ids), updates Validation Status,
+// Last Checked and permanently-redirected websites in the dealer CSV unless dryRun,
+// and saves the report. Dealers whose website was edited while they were checked are left
+// alone and listed in report.skipped. onProgress(done, total, result) is called per dealer.
+async function validateDealerUrls(options = {}) {
+  const { dealers } = await readDealers();
+  const selected = options.ids ? dealers.filter(dealer => options.ids.includes(dealer.id)) : dealers;
+  const startedAt = new Date().toISOString();
+  const results = [];
+  let done = 0;
+
+  const checkedWebsites = new Map(selected.map(dealer => [dealer.id, dealer.website]));
+
+  console.log(`🔍 Validating ${selected.length} dealer websites...`);
+
+  await runWithConcurrency(selected, options.concurrency || 4, async dealer => {
+    const check = await checkUrl(dealer.website, options);
+    const result = { id: dealer.id, dealer: dealer.name, brand: dealer.brand, ...check };
+    results.push(result);
+    done++;
+
+    const icon = result.status === STATUS.OK ? '✅' : DEAD_STATUSES.includes(result.status) ? '❌' : '⚠️';
+    console.log(`${icon} ${dealer.name}: ${result.status}${result.reason ? ` (${result.reason})` : ''}${result.canonicalUrl ? ` → ${result.canonicalUrl}` : ''}`);
+    if (options.onProgress) options.onProgress(done, selected.length, result);
+  });
+
+  const order = new Map(selected.map((dealer, index) => [dealer.id, index]));
+  results.sort((a, b) => order.get(a.id) - order.get(b.id));
+
+  const checkedOn = startedAt.slice(0, 10);
+  const updates = {};
+  // A website edited while validation ran wasn't the one checked, so that dealer is left alone
+  const expected = {};
+  for (const result of results) {
+    updates[result.id] = { validationStatus: result.status, lastChecked: checkedOn };
+    if (result.canonicalUrl) updates[result.id].website = result.canonicalUrl;
+    expected[result.id] = { website: checkedWebsites.get(result.id) };
+  }
+
+  let skippedIds = [];
+  if (!options.dryRun) {
+    skippedIds = (await applyDealerUpdates(updates, expected)).skipped;
+    if (skippedIds.length > 0) {
+      console.log(`⚠️ ${skippedIds.length} dealers had their website edited during validation and were not updated`);
+    }
+  }
+  const applied = result => !skippedIds.includes(result.id);
+
+  const counts = {};
+  results.forEach(result => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  });
+
+  const report = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    dryRun: Boolean(options.dryRun),
+    total: results.length,
+    counts,
+    dead: results.filter(result => DEAD_STATUSES.includes(result.status))
+      .map(({ id, dealer, url, status, reason }) => ({ id, dealer, url, status, reason })),
+    rewritten: results.filter(result => result.canonicalUrl && applied(result))
+      .map(({ id, dealer, url, canonicalUrl }) => ({ id, dealer, from: url, to: canonicalUrl })),
+    skipped: results.filter(result => !applied(result))
+      .map(({ id, dealer, url }) => ({ id, dealer, url, reason: 'website_changed' })),
+    results
+  };
+
+  await saveReport(report);
+  return report;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--id') options.ids = (options.ids || []).concat(argv[++i]);
+    else if (argv[i] === '--concurrency') options.concurrency = parseInt(argv[++i], 10) || 4;
+  }
+  return options;
+}
+
+if (require.main === module) {
+  validateDealerUrls(parseArgs(process.argv.slice(2)))
+    .then(report => {
+      console.log(`\n📊 ${report.total} websites checked: ` +
+        Object.entries(report.counts).map(([status, count]) => `${status} ${count}`).join(', '));
+      if (report.rewritten.length > 0) {
+        console.log(`🔁 ${report.rewritten.length} websites rewritten to their canonical URL${report.dryRun ? ' (dry run, not saved)' : ''}`);
+      }
+      if (report.dead.length > 0) {
+        console.log(`\n❌ Dead dealers (will fail to scrape):`);
+        report.dead.forEach(entry => console.log(`   ${entry.dealer} [${entry.id}] ${entry.status} ${entry.url || ''}`));
+      }
+      console.log(`\n📄 Report saved to ${REPORT_PATH}`);
+    })
+    .catch(error => {
+      console.error('❌ URL validation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  STATUS,
+  DEAD_STATUSES,
+  REPORT_PATH,
+  checkUrl,
+  detectParking,
+  validateDealerUrls,
+  loadReport
+};
@@ -0,0 +1,13 @@
+// Every request the scraper makes identifies itself the same way, so site owners can
+// recognise it in their logs and address it in robots.txt. Set SCRAPER_USER_AGENT in .env
+// (e.g. with a contact address) to change it.
+const DEFAULT_USER_AGENT = 'GTADealerScraper/1.0 (+https://github.com/Chang511/gta-dealer-scraper)';
+const USER_AGENT = process.env.SCRAPER_USER_AGENT || DEFAULT_USER_AGENT;
+
+// The product token robots.txt groups are matched against ("gtadealerscraper")
+const ROBOTS_AGENT = (process.env.SCRAPER_ROBOTS_AGENT || USER_AGENT.split(/[/\s]/)[0]).toLowerCase();
+
+module.exports = {
+  USER_AGENT,
+  ROBOTS_AGENT
+};
@@ -0,0 +1,51 @@
+// Inventory conditions a dealer site can list separately
+const CONDITIONS = ['new', 'used', 'certified'];
+
+// Checked in this order: "certified pre-owned" is certified, not used
+const CONDITION_WORDS = [
+  { condition: 'certified', pattern: /\b(certified|cpo)\b/i },
+  { condition: 'used', pattern: /\b(used|pre ?owned)\b/i },
+  { condition: 'new', pattern: /\bnew\b/i }
+];
+
+// schema.org itemCondition values
+const SCHEMA_CONDITIONS = {
+  newcondition: 'new',
+  usedcondition: 'used',
+  refurbishedcondition: 'used',
+  damagedcondition: 'used'
+};
+
+// Maps free text ("Certified Pre-Owned", "USED", schema.org/UsedCondition) to
+// one of CONDITIONS, or '' when the text says nothing about condition
+function normalizeCondition(value) {
+  const text = String(value || '').trim();
+  if (!text) return '';
+
+  const schemaMatch = text.match(/(New|Used|Refurbished|Damaged)Condition\b/i);
+  if (schemaMatch) return SCHEMA_CONDITIONS[schemaMatch[0].toLowerCase()];
+
+  const words = text.replace(/[_/?=&.-]+/g, ' ');
+  for (const { condition, pattern } of CONDITION_WORDS) {
+    if (pattern.test(words)) return condition;
+  }
+  return '';
+}
+
+// Condition implied by an inventory link's path/query and anchor text (not the hostname)
+function conditionFromLink(url, text = '') {
+  let location = url;
+  try {
+    const parsed = new URL(url, 'https://placeholder.invalid');
+    location = parsed.pathname + ' ' + parsed.search;
+  } catch (e) {
+    // Keep the raw href
+  }
+  return normalizeCondition(location) || normalizeCondition(text);
+}
+
+module.exports = {
+  CONDITIONS,
+  normalizeCondition,
+  conditionFromLink
+};
@@ -0,0 +1,224 @@
+// Dealer groups list the same unit on several sister-store websites. Across dealers, listings
+// are the same vehicle when they share a VIN, or failing that:
+//   stock  the same stock number, year, make and model, at a compatible price and trim
+//   specs  the same year, make, model, trim and condition, a price within PRICE_TOLERANCE and an
+//          odometer reading within ODOMETER_TOLERANCE (only for units with real mileage, since
+//          a lot's identical new cars would otherwise collapse into one)
+// Each group becomes one canonical record with every listing kept in listings.
+const PRICE_TOLERANCE = { absolute: 500, ratio: 0.02 };
+const ODOMETER_TOLERANCE = { absolute: 100, ratio: 0.01 };
+const MIN_SPECS_ODOMETER_KM = 1000;
+const MIN_STOCK_LENGTH = 4;
+const MATCH_STRENGTH = ['vin', 'stock', 'specs'];
+
+function key(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function toNumber(value) {
+  const number = parseFloat(String(value || '').replace(/[^\d.]/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+function within(a, b, { absolute, ratio }) {
+  return Math.abs(a - b) <= Math.max(absolute, ratio * Math.max(a, b));
+}
+
+// An unknown price is only compatible when something stronger (the stock number) already matched
+function pricesMatch(a, b, allowMissing) {
+  if (a.price === null || b.price === null) return allowMissing;
+  return within(a.price, b.price, PRICE_TOLERANCE);
+}
+
+function trimsMatch(a, b) {
+  return !a.trim || !b.trim || a.trim === b.trim;
+}
+
+function matchReason(a, b) {
+  if (a.dealer === b.dealer) return null;
+  // Two different VINs are two different vehicles, whatever else agrees
+  if (a.vin && b.vin && a.vin !== b.vin) return null;
+  if (!trimsMatch(a, b)) return null;
+
+  if (a.stock && a.stock === b.stock && a.stock.length >= MIN_STOCK_LENGTH && pricesMatch(a, b, true)) {
+    return 'stock';
+  }
+  if (a.condition === b.condition && a.odometerKm !== null && b.odometerKm !== null &&
+      Math.min(a.odometerKm, b.odometerKm) >= MIN_SPECS_ODOMETER_KM &&
+      within(a.odometerKm, b.odometerKm, ODOMETER_TOLERANCE) &&
+      pricesMatch(a, b, false)) {
+    return 'specs';
+  }
+  return null;
+}
+
+function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (value, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  return {
+    find,
+    union(a, b) {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent[rootB] = rootA;
+      return rootA !== rootB;
+    }
+  };
+}
+
+function completeness(vehicle) {
+  return Object.values(vehicle).filter(value => value !== '' && value !== null && value !== undefined).length;
+}
+
+function listingOf(vehicle) {
+  return {
+    dealer: vehicle.dealer,
+    dealerId: vehicle.dealerId,
+    brand: vehicle.brand,
+    city: vehicle.city,
+    price: vehicle.price,
+    stock: vehicle.stock,
+    sourceUrl: vehicle.sourceUrl,
+    detailUrl: vehicle.detailUrl,
+    scrapedAt: vehicle.scrapedAt
+  };
+}
+
+// The most complete listing (cheapest on a tie) is the base; blanks are filled from the others
+function canonicalRecord(group, match) {
+  const ranked = [...group].sort((a, b) =>
+    completeness(b) - completeness(a) ||
+    (toNumber(a.price) || Infinity) - (toNumber(b.price) || Infinity) ||
+    String(a.dealer).localeCompare(String(b.dealer)));
+  const record = { ...ranked[0] };
+  for (const other of ranked.slice(1)) {
+    for (const [field, value] of Object.entries(other)) {
+      if ((record[field] === '' || record[field] === undefined) && value !== '' && value !== undefined) record[field] = value;
+    }
+  }
+
+  const listings = ranked.map(listingOf);
+  record.listings = listings;
+  record.listingCount = listings.length;
+  record.listedAt = listings.map(listing => `${listing.dealer} (${listing.detailUrl || listing.sourceUrl})`).join('; ');
+  record.dedupeMatch = match || '';
+  return record;
+}
+
+// Returns { vehicles, stats } where vehicles has one canonical record per unit and
+// stats is { listings, vehicles, merged, groups, byMatch: { vin, stock, specs } }
+function dedupeVehicles(vehicles) {
+  const entries = vehicles.map(vehicle => ({
+    dealer: key(vehicle.dealerId || vehicle.dealer),
+    vin: key(vehicle.vin).length === 17 ? key(vehicle.vin) : '',
+    stock: key(vehicle.stock),
+    trim: key(vehicle.trim),
+    condition: vehicle.condition || 'new',
+    price: toNumber(vehicle.price),
+    odometerKm: toNumber(vehicle.odometerKm),
+    bucket: vehicle.model ? [vehicle.year, vehicle.make, vehicle.model].map(key).join('|') : null
+  }));
+  const sets = createUnionFind(vehicles.length);
+  // Per group root: the strongest reason its listings were merged, and its VIN if any listing has one
+  const reasons = new Map();
+  const groupVins = new Map(entries.map((entry, index) => [index, entry.vin]));
+  const link = (a, b, reason) => {
+    const rootA = sets.find(a);
+    const rootB = sets.find(b);
+    const strongest = [reason, reasons.get(rootA), reasons.get(rootB)]
+      .filter(Boolean)
+      .sort((x, y) => MATCH_STRENGTH.indexOf(x) - MATCH_STRENGTH.indexOf(y))[0];
+    const vin = groupVins.get(rootA) || groupVins.get(rootB);
+    if (sets.union(a, b)) {
+      reasons.set(sets.find(a), strongest);
+      groupVins.set(sets.find(a), vin);
+    }
+  };
+
+  const byVin = new Map();
+  entries.forEach((entry, index) => {
+    if (!entry.vin) return;
+    if (byVin.has(entry.vin)) link(byVin.get(entry.vin), index, 'vin');
+    else byVin.set(entry.vin, index);
+  });
+
+  // Fuzzy matches are only looked for among vehicles of the same year, make and model
+  const buckets = new Map();
+  entries.forEach((entry, index) => {
+    if (!entry.bucket) return;
+    if (!buckets.has(entry.bucket)) buckets.set(entry.bucket, []);
+    buckets.get(entry.bucket).push(index);
+  });
+  const pairs = [];
+  for (const indexes of buckets.values()) {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const reason = matchReason(entries[indexes[i]], entries[indexes[j]]);
+        if (reason) pairs.push({ a: indexes[i], b: indexes[j], reason });
+      }
+    }
+  }
+
+  // A listing without a VIN that looks like two different VIN'd vehicles could be either; leave it alone
+  const partnerVins = new Map();
+  for (const { a, b } of pairs) {
+    for (const [self, other] of [[a, b], [b, a]]) {
+      const vin = groupVins.get(sets.find(other));
+      if (!vin) continue;
+      if (!partnerVins.has(self)) partnerVins.set(self, new Set());
+      partnerVins.get(self).add(vin);
+    }
+  }
+  const ambiguous = index => !entries[index].vin && partnerVins.has(index) && partnerVins.get(index).size > 1;
+
+  for (const { a, b, reason } of pairs) {
+    if (ambiguous(a) || ambiguous(b)) continue;
+    // A group can't take a second VIN through a fuzzy match
+    const vinA = groupVins.get(sets.find(a));
+    const vinB = groupVins.get(sets.find(b));
+    if (vinA && vinB && vinA !== vinB) continue;
+    link(a, b, reason);
+  }
+
+  const groups = new Map();
+  vehicles.forEach((vehicle, index) => {
+    const root = sets.find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(vehicle);
+  });
+
+  const stats = { listings: vehicles.length, vehicles: groups.size, merged: vehicles.length - groups.size, groups: 0, byMatch: { vin: 0, stock: 0, specs: 0 } };
+  const deduped = [];
+  for (const [root, group] of groups) {
+    const match = group.length > 1 ? reasons.get(root) : '';
+    if (match) {
+      stats.groups++;
+      stats.byMatch[match]++;
+    }
+    deduped.push(canonicalRecord(group, match));
+  }
+  return { vehicles: deduped, stats };
+}
+
+// The store hands out a new snapshot object whenever it writes, so each snapshot is deduplicated once
+const snapshotCache = new WeakMap();
+
+// The snapshot with duplicate listings merged: { ...snapshot, vehicles, dedupe: stats }
+function dedupeSnapshot(snapshot) {
+  if (!snapshotCache.has(snapshot)) {
+    const { vehicles, stats } = dedupeVehicles(snapshot.vehicles);
+    snapshotCache.set(snapshot, { ...snapshot, vehicles, dedupe: stats });
+  }
+  return snapshotCache.get(snapshot);
+}
+
+module.exports = {
+  dedupeVehicles,
+  dedupeSnapshot
+};
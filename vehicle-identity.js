@@ -0,0 +1,56 @@
+function normalizeKeyPart(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// VIN, else stock number, else a year/model/trim/price fingerprint.
+// VIN and stock number are unique per unit; fingerprints can legitimately repeat.
+function vehicleIdentity(vehicle) {
+  if (vehicle.vin) {
+    return { key: 'vin:' + normalizeKeyPart(vehicle.vin), strong: true };
+  }
+  if (vehicle.stock) {
+    return { key: 'stock:' + normalizeKeyPart(vehicle.stock), strong: true };
+  }
+  const fingerprint = [vehicle.year, vehicle.model, vehicle.trim, vehicle.price]
+    .map(normalizeKeyPart)
+    .join('|');
+  return { key: 'fp:' + fingerprint, strong: false };
+}
+
+// Drops vehicles already seen on an earlier page. A detail page URL is as good
+// as a VIN for this; fingerprint-only vehicles are counted per page so identical
+// units listed on the same page are all kept.
+function createVehicleDeduper() {
+  const strongKeys = new Set();
+  const priorCounts = new Map();
+  let pageCounts = new Map();
+
+  return {
+    startPage() {
+      for (const [key, count] of pageCounts) {
+        priorCounts.set(key, Math.max(priorCounts.get(key) || 0, count));
+      }
+      pageCounts = new Map();
+    },
+    add(vehicle) {
+      let { key, strong } = vehicleIdentity(vehicle);
+      if (!strong && vehicle.detailUrl) {
+        key = 'url:' + vehicle.detailUrl.replace(/[?#].*$/, '').replace(/\/$/, '');
+        strong = true;
+      }
+      if (strong) {
+        if (strongKeys.has(key)) return false;
+        strongKeys.add(key);
+        return true;
+      }
+      const count = (pageCounts.get(key) || 0) + 1;
+      pageCounts.set(key, count);
+      return count > (priorCounts.get(key) || 0);
+    }
+  };
+}
+
+module.exports = {
+  vehicleIdentity,
+  createVehicleDeduper
+};
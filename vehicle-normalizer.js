@@ -0,0 +1,370 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeText, diceCoefficient } = require('./fuzzy-match');
+
+// Maps scraped make/model/trim text onto Data/vehicle_catalog.json:
+//   "RAV4 Hybrid XLE AWD" -> Toyota / RAV4 Hybrid / XLE / AWD
+//   "Rav 4 XLE Hybrid"    -> Toyota / RAV4 Hybrid / XLE
+//   "2025 RAV4"           -> Toyota / RAV4 / (no trim)
+// Words the catalog doesn't know are reported to store/unmatched-vehicles.json so it can grow.
+const CATALOG_PATH = path.join(__dirname, 'Data', 'vehicle_catalog.json');
+const UNMATCHED_PATH = path.join(process.env.INVENTORY_STORE_DIR || path.join(__dirname, 'store'), 'unmatched-vehicles.json');
+
+// Aliases and trims are compared with spacing and punctuation removed, over up to this many words
+const MAX_WINDOW = 4;
+const REQUIRED_WORD_SCORE = 20;
+const FUZZY_MODEL_THRESHOLD = 0.8;
+const MAX_UNMATCHED = 2000;
+
+const YEAR = /^(19[89]\d|20[0-4]\d)$/;
+// Words that say nothing about the model or trim
+const NOISE_WORDS = new Set([
+  'new', 'used', 'certified', 'pre', 'owned', 'preowned', 'cpo', 'demo', 'demonstrator',
+  'sedan', 'hatchback', 'coupe', 'convertible', 'wagon', 'suv', 'crossover', 'truck', 'van', 'minivan', 'pickup',
+  'crew', 'cab', 'crewcab', 'quad', 'double', 'supercrew', 'supercab', 'box', 'bed',
+  '2dr', '4dr', '5dr', 'door', 'doors', 'automatic', 'auto', 'manual', 'cvt', 'at', 'mt',
+  'w', 'with', 'and', 'pkg', 'package'
+]);
+const DRIVETRAINS = [
+  { drivetrain: 'AWD', pattern: /^(awd|allwheeldrive|iawd|shawd|4matic|quattro|4motion|efour|xdrive\w*)$/ },
+  { drivetrain: '4WD', pattern: /^(4wd|4x4|fourwheeldrive)$/ },
+  { drivetrain: 'FWD', pattern: /^(fwd|frontwheeldrive)$/ },
+  { drivetrain: 'RWD', pattern: /^(rwd|rearwheeldrive)$/ },
+  { drivetrain: '2WD', pattern: /^(2wd|4x2)$/ }
+];
+
+let catalog = null;
+let unmatchedPromise = null;
+let pendingUnmatched = [];
+let saveQueue = Promise.resolve();
+
+function compact(text) {
+  return normalizeText(text).replace(/\s+/g, '');
+}
+
+// The catalog with every alias and trim precompacted; read once, on first use
+function getCatalog() {
+  if (!catalog) {
+    const data = require(CATALOG_PATH);
+    catalog = data.makes.map(make => ({
+      make: make.make,
+      aliases: [...new Set([make.make, ...(make.aliases || [])].map(compact))],
+      models: make.models.map(model => ({
+        model: model.model,
+        aliases: [...new Set([model.model, ...(model.aliases || [])].map(compact))],
+        requires: (model.requires || []).map(compact),
+        drivetrain: model.drivetrain || '',
+        trims: (model.trims || []).map(trim => ({ trim, key: compact(trim) }))
+      }))
+    }));
+  }
+  return catalog;
+}
+
+// First run of consecutive tokens that joins up to alias ("rav 4" -> "rav4"), skipping blocked ones
+function findWindow(tokens, blocked, alias) {
+  for (let start = 0; start < tokens.length; start++) {
+    let joined = '';
+    for (let end = start; end < tokens.length && end < start + MAX_WINDOW; end++) {
+      if (blocked[end]) break;
+      joined += tokens[end];
+      if (joined === alias) return { start, end: end + 1 };
+      if (!alias.startsWith(joined)) break;
+    }
+  }
+  return null;
+}
+
+function markUsed(used, window) {
+  for (let i = window.start; i < window.end; i++) used[i] = true;
+}
+
+function findMake(tokens, used, makes) {
+  let best = null;
+  for (const make of makes) {
+    for (const alias of make.aliases) {
+      const window = findWindow(tokens, used, alias);
+      if (window && (!best || alias.length > best.length)) best = { make, window, length: alias.length };
+    }
+  }
+  return best;
+}
+
+// Required words ("hybrid" for RAV4 Hybrid) have to be there somewhere outside the matched alias
+function requiredWords(tokens, used, window, model) {
+  const found = [];
+  for (const word of model.requires) {
+    const index = tokens.findIndex((token, i) => token === word && !used[i] && (i < window.start || i >= window.end));
+    if (index < 0) return null;
+    found.push(index);
+  }
+  return found;
+}
+
+// A model with required words beats any plain alias it extends ("Wrangler Unlimited ... 4xe");
+// otherwise the longest alias wins
+function findModel(tokens, used, makes) {
+  let best = null;
+  for (const make of makes) {
+    for (const model of make.models) {
+      for (const alias of model.aliases) {
+        const window = findWindow(tokens, used, alias);
+        if (!window) continue;
+        const required = requiredWords(tokens, used, window, model);
+        if (!required) continue;
+        const score = alias.length + required.length * REQUIRED_WORD_SCORE;
+        if (!best || score > best.score) best = { make, model, window, required, score, fuzzy: false };
+      }
+    }
+  }
+  return best;
+}
+
+// Misspellings ("Highlandr", "Tiguane"): the closest alias over one or two words, if it's close enough
+function findModelFuzzy(tokens, used, makes) {
+  let best = null;
+  for (let start = 0; start < tokens.length; start++) {
+    if (used[start]) continue;
+    for (let end = start + 1; end <= Math.min(tokens.length, start + 2); end++) {
+      if (used[end - 1]) break;
+      const candidate = tokens.slice(start, end).join('');
+      if (candidate.length < 4 || /^\d+$/.test(candidate)) continue;
+
+      for (const make of makes) {
+        for (const model of make.models) {
+          if (model.requires.length > 0) continue;
+          for (const alias of model.aliases) {
+            if (alias.length < 4) continue;
+            const score = diceCoefficient(candidate, alias);
+            if (score >= FUZZY_MODEL_THRESHOLD && (!best || score > best.score)) {
+              best = { make, model, window: { start, end }, required: [], score, fuzzy: true };
+            }
+          }
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// Trims may reuse the model's words: BMW "330i" is both the 3 Series alias and its trim
+function findTrim(tokens, blocked, model) {
+  let best = null;
+  for (const trim of model.trims) {
+    const window = findWindow(tokens, blocked, trim.key);
+    if (window && (!best || trim.key.length > best.trim.key.length)) best = { trim, window };
+  }
+  return best;
+}
+
+function findDrivetrain(tokens) {
+  for (let size = 3; size >= 1; size--) {
+    for (let start = 0; start + size <= tokens.length; start++) {
+      const joined = tokens.slice(start, start + size).join('');
+      const found = DRIVETRAINS.find(({ pattern }) => pattern.test(joined));
+      if (found) return { drivetrain: found.drivetrain, window: { start, end: start + size } };
+    }
+  }
+  return null;
+}
+
+// "Chrysler/Dodge/Jeep/Ram" -> those four catalog makes
+function makesForBrand(brand, makes) {
+  return String(brand || '').split(/[/,&]/)
+    .map(compact)
+    .map(key => makes.find(make => make.aliases.includes(key)))
+    .filter(Boolean);
+}
+
+// Normalizes one vehicle's make/model/trim text. brand is the dealer's brand, used when the
+// listing doesn't name a make. Returns { make, model, trim, drivetrain, confidence, matched, unmatched }
+// where matched says how each part was found and unmatched lists what the catalog couldn't place.
+function normalizeVehicle({ make = '', model = '', trim = '' } = {}, brand = '') {
+  const makes = getCatalog();
+  const rawTitle = [make, model, trim].map(part => String(part || '').trim()).filter(Boolean).join(' ');
+  const tokens = normalizeText(rawTitle).split(' ').filter(Boolean);
+  const used = tokens.map(token => YEAR.test(token) || NOISE_WORDS.has(token));
+  const result = {
+    rawTitle,
+    make: String(make || '').trim(),
+    model: String(model || '').trim(),
+    trim: String(trim || '').trim(),
+    drivetrain: '',
+    confidence: 0,
+    matched: { make: null, model: null, trim: null, drivetrain: null },
+    unmatched: []
+  };
+  if (tokens.length === 0) return result;
+
+  // Make: named in the text, else the dealer's brand, else whichever make owns the model
+  let candidates = makes;
+  const makeMatch = findMake(tokens, used, makes);
+  if (makeMatch) {
+    markUsed(used, makeMatch.window);
+    candidates = [makeMatch.make];
+    result.matched.make = 'text';
+  } else if (compact(make)) {
+    // A make the catalog doesn't carry (a traded-in Nissan at a Toyota store)
+    result.unmatched.push({ kind: 'make', text: result.make });
+    return result;
+  } else if (makesForBrand(brand, makes).length > 0) {
+    candidates = makesForBrand(brand, makes);
+    result.matched.make = 'brand';
+  }
+
+  const modelMatch = findModel(tokens, used, candidates) || findModelFuzzy(tokens, used, candidates);
+  if (!modelMatch) {
+    if (candidates.length === 1) result.make = candidates[0].make;
+    result.confidence = result.matched.make === 'text' ? 0.3 : result.matched.make === 'brand' ? 0.2 : 0;
+    const text = tokens.filter((token, i) => !used[i]).join(' ');
+    if (text) result.unmatched.push({ kind: 'model', make: candidates.length === 1 ? candidates[0].make : '', text });
+    return result;
+  }
+
+  markUsed(used, modelMatch.window);
+  for (const index of modelMatch.required) used[index] = true;
+  if (!result.matched.make) result.matched.make = 'model';
+  result.make = modelMatch.make.make;
+  result.model = modelMatch.model.model;
+  result.matched.model = modelMatch.fuzzy ? 'fuzzy' : 'exact';
+
+  const drivetrainMatch = findDrivetrain(tokens);
+  if (drivetrainMatch) {
+    markUsed(used, drivetrainMatch.window);
+    result.drivetrain = drivetrainMatch.drivetrain;
+    result.matched.drivetrain = 'stated';
+  } else if (modelMatch.model.drivetrain) {
+    result.drivetrain = modelMatch.model.drivetrain;
+    result.matched.drivetrain = 'catalog';
+  }
+
+  // Trims may overlap the model's words but not the make, year or noise words
+  const trimBlocked = tokens.map((token, i) => YEAR.test(token) || NOISE_WORDS.has(token) || (makeMatch && i >= makeMatch.window.start && i < makeMatch.window.end));
+  const trimMatch = findTrim(tokens, trimBlocked, modelMatch.model);
+  if (trimMatch) {
+    markUsed(used, trimMatch.window);
+    result.trim = trimMatch.trim.trim;
+    result.matched.trim = 'exact';
+  }
+
+  const leftover = tokens.filter((token, i) => !used[i]).join(' ');
+  if (!trimMatch && leftover) {
+    result.unmatched.push({ kind: 'trim', make: result.make, model: result.model, text: leftover });
+  }
+
+  const makeScore = { text: 0.3, brand: 0.2, model: 0.2 }[result.matched.make] || 0;
+  const modelScore = modelMatch.fuzzy ? 0.25 : 0.4;
+  // No trim words at all is less certain than a known trim, but isn't a miss either
+  const trimScore = trimMatch ? 0.2 : leftover ? 0 : 0.1;
+  const drivetrainScore = { stated: 0.1, catalog: 0.05 }[result.matched.drivetrain] || 0;
+  result.confidence = Math.round((makeScore + modelScore + trimScore + drivetrainScore) * 100) / 100;
+
+  return result;
+}
+
+// The vehicle record's catalog fields. Make, model and trim are only replaced once the model is
+// recognised; otherwise the scraped text is kept as it was.
+function catalogFields(vehicle, brand) {
+  const normalized = normalizeVehicle(vehicle, brand);
+  const fields = {
+    rawTitle: normalized.rawTitle,
+    drivetrain: normalized.drivetrain,
+    catalogConfidence: normalized.rawTitle ? String(normalized.confidence) : ''
+  };
+  if (normalized.matched.model) {
+    fields.make = normalized.make;
+    fields.model = normalized.model;
+    fields.trim = normalized.matched.trim ? normalized.trim : vehicle.trim;
+  } else if (normalized.matched.make) {
+    fields.make = normalized.make;
+  }
+  return { fields, unmatched: normalized.unmatched };
+}
+
+function loadUnmatched() {
+  if (!unmatchedPromise) {
+    unmatchedPromise = fs.readFile(UNMATCHED_PATH, 'utf8')
+      .then(text => new Map((JSON.parse(text).entries || []).map(entry => [entry.key, entry])))
+      .catch(error => {
+        if (error.code !== 'ENOENT') console.error('❌ Could not read unmatched vehicle log:', error.message);
+        return new Map();
+      });
+  }
+  return unmatchedPromise;
+}
+
+function unmatchedKey(entry) {
+  return [entry.kind, compact(entry.make), compact(entry.model), entry.text].join('|');
+}
+
+// Queues unmatched text from one vehicle; it is merged into the log by saveUnmatched
+function recordUnmatched(unmatched, vehicle = {}) {
+  const seenAt = new Date().toISOString();
+  for (const entry of unmatched) {
+    pendingUnmatched.push({ ...entry, dealer: vehicle.dealer || '', example: vehicle.rawTitle || '', seenAt });
+  }
+}
+
+async function mergePending() {
+  const entries = await loadUnmatched();
+  const pending = pendingUnmatched;
+  pendingUnmatched = [];
+
+  for (const item of pending) {
+    const key = unmatchedKey(item);
+    const entry = entries.get(key) || {
+      key,
+      kind: item.kind,
+      make: item.make || '',
+      model: item.model || '',
+      text: item.text,
+      count: 0,
+      dealers: [],
+      example: item.example,
+      firstSeen: item.seenAt
+    };
+    entry.count++;
+    entry.lastSeen = item.seenAt;
+    if (item.dealer && !entry.dealers.includes(item.dealer) && entry.dealers.length < 10) entry.dealers.push(item.dealer);
+    entries.set(key, entry);
+  }
+
+  // The rarest, longest-unseen entries go first once the log is full
+  if (entries.size > MAX_UNMATCHED) {
+    const keep = [...entries.values()]
+      .sort((a, b) => b.count - a.count || String(b.lastSeen).localeCompare(String(a.lastSeen)))
+      .slice(0, MAX_UNMATCHED);
+    entries.clear();
+    for (const entry of keep) entries.set(entry.key, entry);
+  }
+  return entries;
+}
+
+async function saveUnmatched() {
+  const entries = await mergePending();
+  const snapshot = JSON.stringify({ entries: [...entries.values()] }, null, 2);
+  saveQueue = saveQueue.then(async () => {
+    await fs.mkdir(path.dirname(UNMATCHED_PATH), { recursive: true });
+    const tmpPath = `${UNMATCHED_PATH}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, snapshot, 'utf8');
+    await fs.rename(tmpPath, UNMATCHED_PATH);
+  }).catch(error => console.error('❌ Could not save unmatched vehicle log:', error.message));
+  return saveQueue;
+}
+
+// Most frequent first; kind narrows to make, model or trim gaps
+async function listUnmatched({ kind, limit = 100 } = {}) {
+  const entries = [...(await mergePending()).values()]
+    .filter(entry => !kind || entry.kind === kind)
+    .sort((a, b) => b.count - a.count || String(b.lastSeen).localeCompare(String(a.lastSeen)));
+  return { total: entries.length, entries: entries.slice(0, limit) };
+}
+
+module.exports = {
+  UNMATCHED_PATH,
+  normalizeVehicle,
+  catalogFields,
+  recordUnmatched,
+  saveUnmatched,
+  listUnmatched
+};
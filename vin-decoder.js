@@ -0,0 +1,233 @@
+// Offline VIN validation and decoding (ISO 3779 / 49 CFR 565).
+// The WMI table covers the makes sold by the dealers in our CSV.
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const VIN_PATTERN = /\b[A-HJ-NPR-Z0-9]{17}\b/g;
+
+// World Manufacturer Identifiers; 3-character entries win over 2-character prefixes
+const WMI_TABLE = {
+  // Toyota / Lexus
+  'JT': { manufacturer: 'Toyota Motor Corporation', make: 'Toyota' },
+  'JTH': { manufacturer: 'Toyota Motor Corporation', make: 'Lexus' },
+  'JTJ': { manufacturer: 'Toyota Motor Corporation', make: 'Lexus' },
+  '2T1': { manufacturer: 'Toyota Motor Manufacturing Canada', make: 'Toyota' },
+  '2T2': { manufacturer: 'Toyota Motor Manufacturing Canada', make: 'Lexus' },
+  '2T3': { manufacturer: 'Toyota Motor Manufacturing Canada', make: 'Toyota' },
+  '4T1': { manufacturer: 'Toyota Motor Manufacturing Kentucky', make: 'Toyota' },
+  '4T3': { manufacturer: 'Toyota Motor North America', make: 'Toyota' },
+  '4T4': { manufacturer: 'Toyota Motor North America', make: 'Toyota' },
+  '5TD': { manufacturer: 'Toyota Motor Manufacturing Indiana', make: 'Toyota' },
+  '5TF': { manufacturer: 'Toyota Motor Manufacturing Texas', make: 'Toyota' },
+  '5YF': { manufacturer: 'Toyota Motor Manufacturing Mississippi', make: 'Toyota' },
+  '58A': { manufacturer: 'Toyota Motor Manufacturing Kentucky', make: 'Lexus' },
+  '58B': { manufacturer: 'Toyota Motor Manufacturing Kentucky', make: 'Lexus' },
+  // Honda / Acura
+  'JHM': { manufacturer: 'Honda Motor Co.', make: 'Honda' },
+  'JHL': { manufacturer: 'Honda Motor Co.', make: 'Honda' },
+  'JH4': { manufacturer: 'Honda Motor Co.', make: 'Acura' },
+  '1HG': { manufacturer: 'Honda of America Mfg.', make: 'Honda' },
+  '2HG': { manufacturer: 'Honda of Canada Mfg.', make: 'Honda' },
+  '2HK': { manufacturer: 'Honda of Canada Mfg.', make: 'Honda' },
+  '2HN': { manufacturer: 'Honda of Canada Mfg.', make: 'Acura' },
+  '5FN': { manufacturer: 'Honda Manufacturing of Alabama', make: 'Honda' },
+  '5FP': { manufacturer: 'Honda Manufacturing of Alabama', make: 'Honda' },
+  '5J6': { manufacturer: 'Honda of America Mfg.', make: 'Honda' },
+  '5J8': { manufacturer: 'Honda of America Mfg.', make: 'Acura' },
+  '19U': { manufacturer: 'Honda of America Mfg.', make: 'Acura' },
+  '19X': { manufacturer: 'Honda of America Mfg.', make: 'Honda' },
+  '7FA': { manufacturer: 'Honda Manufacturing of Indiana', make: 'Honda' },
+  // Kia / Hyundai
+  'KNA': { manufacturer: 'Kia Corporation', make: 'Kia' },
+  'KNC': { manufacturer: 'Kia Corporation', make: 'Kia' },
+  'KND': { manufacturer: 'Kia Corporation', make: 'Kia' },
+  '5XX': { manufacturer: 'Kia Georgia', make: 'Kia' },
+  '5XY': { manufacturer: 'Kia Georgia', make: 'Kia' },
+  '3KP': { manufacturer: 'Kia Mexico', make: 'Kia' },
+  'KMH': { manufacturer: 'Hyundai Motor Company', make: 'Hyundai' },
+  'KM8': { manufacturer: 'Hyundai Motor Company', make: 'Hyundai' },
+  '5NP': { manufacturer: 'Hyundai Motor Manufacturing Alabama', make: 'Hyundai' },
+  '5NM': { manufacturer: 'Hyundai Motor Manufacturing Alabama', make: 'Hyundai' },
+  // Mercedes-Benz
+  'WDD': { manufacturer: 'Mercedes-Benz AG', make: 'Mercedes-Benz' },
+  'WDC': { manufacturer: 'Mercedes-Benz AG', make: 'Mercedes-Benz' },
+  'WDB': { manufacturer: 'Mercedes-Benz AG', make: 'Mercedes-Benz' },
+  'W1K': { manufacturer: 'Mercedes-Benz AG', make: 'Mercedes-Benz' },
+  'W1N': { manufacturer: 'Mercedes-Benz AG', make: 'Mercedes-Benz' },
+  'W1V': { manufacturer: 'Mercedes-Benz AG', make: 'Mercedes-Benz' },
+  'W1W': { manufacturer: 'Mercedes-Benz AG', make: 'Mercedes-Benz' },
+  '4JG': { manufacturer: 'Mercedes-Benz U.S. International', make: 'Mercedes-Benz' },
+  '55S': { manufacturer: 'Mercedes-Benz AG', make: 'Mercedes-Benz' },
+  // BMW
+  'WBA': { manufacturer: 'BMW AG', make: 'BMW' },
+  'WBS': { manufacturer: 'BMW M GmbH', make: 'BMW' },
+  'WBX': { manufacturer: 'BMW AG', make: 'BMW' },
+  'WBY': { manufacturer: 'BMW AG', make: 'BMW' },
+  '5UX': { manufacturer: 'BMW Manufacturing Co.', make: 'BMW' },
+  '5UJ': { manufacturer: 'BMW Manufacturing Co.', make: 'BMW' },
+  '5YM': { manufacturer: 'BMW Manufacturing Co.', make: 'BMW' },
+  // Audi / Volkswagen
+  'WAU': { manufacturer: 'Audi AG', make: 'Audi' },
+  'WA1': { manufacturer: 'Audi AG', make: 'Audi' },
+  'WUA': { manufacturer: 'Audi Sport GmbH', make: 'Audi' },
+  'TRU': { manufacturer: 'Audi Hungaria', make: 'Audi' },
+  'WVW': { manufacturer: 'Volkswagen AG', make: 'Volkswagen' },
+  'WVG': { manufacturer: 'Volkswagen AG', make: 'Volkswagen' },
+  '1VW': { manufacturer: 'Volkswagen Chattanooga', make: 'Volkswagen' },
+  '1V2': { manufacturer: 'Volkswagen Chattanooga', make: 'Volkswagen' },
+  '3VW': { manufacturer: 'Volkswagen de Mexico', make: 'Volkswagen' },
+  '3VV': { manufacturer: 'Volkswagen de Mexico', make: 'Volkswagen' },
+  // Ford / Lincoln
+  '1FA': { manufacturer: 'Ford Motor Company', make: 'Ford' },
+  '1FB': { manufacturer: 'Ford Motor Company', make: 'Ford' },
+  '1FC': { manufacturer: 'Ford Motor Company', make: 'Ford' },
+  '1FD': { manufacturer: 'Ford Motor Company', make: 'Ford' },
+  '1FM': { manufacturer: 'Ford Motor Company', make: 'Ford' },
+  '1FT': { manufacturer: 'Ford Motor Company', make: 'Ford' },
+  '2FM': { manufacturer: 'Ford Motor Company of Canada', make: 'Ford' },
+  '2FT': { manufacturer: 'Ford Motor Company of Canada', make: 'Ford' },
+  '3FA': { manufacturer: 'Ford Motor Company de Mexico', make: 'Ford' },
+  '3FM': { manufacturer: 'Ford Motor Company de Mexico', make: 'Ford' },
+  '3FT': { manufacturer: 'Ford Motor Company de Mexico', make: 'Ford' },
+  'MAJ': { manufacturer: 'Ford India', make: 'Ford' },
+  '1LN': { manufacturer: 'Ford Motor Company', make: 'Lincoln' },
+  '2LM': { manufacturer: 'Ford Motor Company of Canada', make: 'Lincoln' },
+  '3LN': { manufacturer: 'Ford Motor Company de Mexico', make: 'Lincoln' },
+  '5LM': { manufacturer: 'Ford Motor Company', make: 'Lincoln' },
+  // General Motors
+  '1G1': { manufacturer: 'General Motors', make: 'Chevrolet' },
+  '1GC': { manufacturer: 'General Motors', make: 'Chevrolet' },
+  '1GN': { manufacturer: 'General Motors', make: 'Chevrolet' },
+  '1GB': { manufacturer: 'General Motors', make: 'Chevrolet' },
+  '2G1': { manufacturer: 'General Motors of Canada', make: 'Chevrolet' },
+  '2GN': { manufacturer: 'General Motors of Canada', make: 'Chevrolet' },
+  '3G1': { manufacturer: 'General Motors de Mexico', make: 'Chevrolet' },
+  '3GC': { manufacturer: 'General Motors de Mexico', make: 'Chevrolet' },
+  '3GN': { manufacturer: 'General Motors de Mexico', make: 'Chevrolet' },
+  'KL1': { manufacturer: 'GM Korea', make: 'Chevrolet' },
+  'KL7': { manufacturer: 'GM Korea', make: 'Chevrolet' },
+  '1GT': { manufacturer: 'General Motors', make: 'GMC' },
+  '1GK': { manufacturer: 'General Motors', make: 'GMC' },
+  '2GT': { manufacturer: 'General Motors of Canada', make: 'GMC' },
+  '3GT': { manufacturer: 'General Motors de Mexico', make: 'GMC' },
+  // Stellantis (FCA)
+  '1C3': { manufacturer: 'FCA US', make: 'Chrysler' },
+  '2C3': { manufacturer: 'FCA Canada', make: 'Chrysler' },
+  '2C4': { manufacturer: 'FCA Canada', make: 'Chrysler' },
+  '1C4': { manufacturer: 'FCA US', make: 'Jeep' },
+  '1J4': { manufacturer: 'FCA US', make: 'Jeep' },
+  '1J8': { manufacturer: 'FCA US', make: 'Jeep' },
+  'ZAC': { manufacturer: 'FCA Italy', make: 'Jeep' },
+  '3C4': { manufacturer: 'FCA Mexico', make: 'Jeep' },
+  '1B3': { manufacturer: 'FCA US', make: 'Dodge' },
+  '2B3': { manufacturer: 'FCA Canada', make: 'Dodge' },
+  '1D7': { manufacturer: 'FCA US', make: 'Ram' },
+  '1C6': { manufacturer: 'FCA US', make: 'Ram' },
+  '3C6': { manufacturer: 'FCA Mexico', make: 'Ram' },
+  '3C7': { manufacturer: 'FCA Mexico', make: 'Ram' },
+  '3D7': { manufacturer: 'FCA Mexico', make: 'Ram' },
+  // Others commonly traded in at GTA dealers
+  'JF1': { manufacturer: 'Subaru Corporation', make: 'Subaru' },
+  'JF2': { manufacturer: 'Subaru Corporation', make: 'Subaru' },
+  '4S3': { manufacturer: 'Subaru of Indiana', make: 'Subaru' },
+  '4S4': { manufacturer: 'Subaru of Indiana', make: 'Subaru' },
+  'JM1': { manufacturer: 'Mazda Motor Corporation', make: 'Mazda' },
+  'JM3': { manufacturer: 'Mazda Motor Corporation', make: 'Mazda' },
+  '3MZ': { manufacturer: 'Mazda de Mexico', make: 'Mazda' },
+  '3MV': { manufacturer: 'Mazda de Mexico', make: 'Mazda' },
+  '7MM': { manufacturer: 'Mazda Toyota Manufacturing', make: 'Mazda' },
+  'JN1': { manufacturer: 'Nissan Motor Co.', make: 'Nissan' },
+  'JN8': { manufacturer: 'Nissan Motor Co.', make: 'Nissan' },
+  '1N4': { manufacturer: 'Nissan North America', make: 'Nissan' },
+  '1N6': { manufacturer: 'Nissan North America', make: 'Nissan' },
+  '3N1': { manufacturer: 'Nissan Mexicana', make: 'Nissan' },
+  '5N1': { manufacturer: 'Nissan North America', make: 'Nissan' },
+  '5YJ': { manufacturer: 'Tesla, Inc.', make: 'Tesla' },
+  '7SA': { manufacturer: 'Tesla, Inc.', make: 'Tesla' },
+  'LRW': { manufacturer: 'Tesla (Shanghai)', make: 'Tesla' },
+  'YV1': { manufacturer: 'Volvo Cars', make: 'Volvo' },
+  'YV4': { manufacturer: 'Volvo Cars', make: 'Volvo' },
+  'SAL': { manufacturer: 'Jaguar Land Rover', make: 'Land Rover' },
+  'SAJ': { manufacturer: 'Jaguar Land Rover', make: 'Jaguar' },
+  'WP0': { manufacturer: 'Porsche AG', make: 'Porsche' },
+  'WP1': { manufacturer: 'Porsche AG', make: 'Porsche' }
+};
+
+function transliterate(char) {
+  return /\d/.test(char) ? parseInt(char, 10) : TRANSLITERATION[char];
+}
+
+function computeCheckDigit(vin) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    sum += transliterate(vin[i]) * WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+function isWellFormedVin(vin) {
+  return typeof vin === 'string' && /^[A-HJ-NPR-Z0-9]{17}$/.test(vin);
+}
+
+function isValidVin(vin) {
+  return isWellFormedVin(vin) && computeCheckDigit(vin) === vin[8];
+}
+
+// Position 10 repeats every 30 years; dealer stock is recent, so take the
+// latest year that isn't past next model year
+function decodeModelYear(code, now = new Date()) {
+  const index = YEAR_CODES.indexOf(code);
+  if (index < 0) return null;
+
+  const maxYear = now.getFullYear() + 1;
+  let year = 1980 + index;
+  while (year + 30 <= maxYear) year += 30;
+  return year;
+}
+
+function lookupWmi(vin) {
+  return WMI_TABLE[vin.substring(0, 3)] || WMI_TABLE[vin.substring(0, 2)] || null;
+}
+
+function decodeVin(vin) {
+  const normalized = String(vin || '').trim().toUpperCase();
+  if (!isWellFormedVin(normalized)) return null;
+
+  const wmi = lookupWmi(normalized);
+  return {
+    vin: normalized,
+    checkDigitValid: computeCheckDigit(normalized) === normalized[8],
+    wmi: normalized.substring(0, 3),
+    manufacturer: wmi ? wmi.manufacturer : '',
+    make: wmi ? wmi.make : '',
+    modelYear: decodeModelYear(normalized[9]),
+    plantCode: normalized[10],
+    serialNumber: normalized.substring(11)
+  };
+}
+
+// Finds a VIN in free text, preferring one whose check digit validates.
+// Returns { vin, valid } or null.
+function findVin(text) {
+  const candidates = String(text || '').toUpperCase().match(VIN_PATTERN) || [];
+  // Stock numbers are sometimes 17 characters too; a VIN has letters and digits
+  const plausible = candidates.filter(candidate => /\d/.test(candidate) && /[A-Z]/.test(candidate));
+
+  const valid = plausible.find(isValidVin);
+  if (valid) return { vin: valid, valid: true };
+  return plausible.length > 0 ? { vin: plausible[0], valid: false } : null;
+}
+
+module.exports = {
+  isValidVin,
+  decodeVin,
+  decodeModelYear,
+  computeCheckDigit,
+  findVin
+};